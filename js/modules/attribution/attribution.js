@@ -0,0 +1,474 @@
+/**
+ * StandLog Analytics - Attribution Module
+ * Campaign, click ID and referrer touchpoints with first, last and linear models
+ */
+
+class AttributionManager {
+  static CHANNELS = [
+    "direct",
+    "search",
+    "social",
+    "email",
+    "paid",
+    "referral",
+    "other",
+  ];
+
+  static CAMPAIGN_PARAMS = {
+    source: "utm_source",
+    medium: "utm_medium",
+    campaign: "utm_campaign",
+    term: "utm_term",
+    content: "utm_content",
+  };
+
+  // Ad click IDs added by auto-tagging: parameter -> source and paid network
+  static CLICK_IDS = {
+    gclid: { source: "google", network: "search" },
+    gbraid: { source: "google", network: "search" },
+    wbraid: { source: "google", network: "search" },
+    msclkid: { source: "bing", network: "search" },
+    fbclid: { source: "facebook", network: "social" },
+    ttclid: { source: "tiktok", network: "social" },
+    twclid: { source: "twitter", network: "social" },
+    li_fat_id: { source: "linkedin", network: "social" },
+  };
+
+  // Facebook adds fbclid to every outbound link, not only to ads
+  static ORGANIC_CLICK_IDS = ["fbclid"];
+
+  static SEARCH_ENGINES = {
+    google: /(^|\.)google\.[a-z.]+$/,
+    bing: /(^|\.)bing\.com$/,
+    yahoo: /(^|\.)search\.yahoo\.com$/,
+    duckduckgo: /(^|\.)duckduckgo\.com$/,
+    yandex: /(^|\.)yandex\.[a-z.]+$/,
+    baidu: /(^|\.)baidu\.com$/,
+    ecosia: /(^|\.)ecosia\.org$/,
+    brave: /(^|\.)search\.brave\.com$/,
+  };
+
+  static SOCIAL_NETWORKS = {
+    facebook: /(^|\.)(facebook\.com|fb\.com|fb\.me)$/,
+    instagram: /(^|\.)instagram\.com$/,
+    twitter: /(^|\.)(twitter\.com|x\.com|t\.co)$/,
+    linkedin: /(^|\.)(linkedin\.com|lnkd\.in)$/,
+    reddit: /(^|\.)reddit\.com$/,
+    pinterest: /(^|\.)pinterest\.[a-z.]+$/,
+    youtube: /(^|\.)(youtube\.com|youtu\.be)$/,
+    tiktok: /(^|\.)tiktok\.com$/,
+  };
+
+  // Webmail clients; checked before search engines (mail.google.com)
+  static EMAIL_PROVIDERS = {
+    gmail: /^mail\.google\.com$/,
+    outlook: /(^|\.)(outlook\.live\.com|outlook\.office\.com)$/,
+    yahoo: /^mail\.yahoo\.com$/,
+  };
+
+  static PAID_MEDIUMS =
+    /^(cpc|ppc|cpm|cpv|cpa|paid|display|banner|retargeting)|(^|[_-])ads?($|[_-])/;
+
+  static MEDIUM_NETWORKS = {
+    social: /social|^sm$/,
+    display: /display|banner|cpm|retargeting/,
+  };
+
+  constructor(config = {}) {
+    this.config = {
+      storageKey: "standlog_attribution",
+      maxTouchpoints: 20, // Oldest touches after the first are dropped
+      dedupeWindow: 30 * 60 * 1000, // Same touch again within this is a reload
+      internalDomains: [], // Other domains of the site; subdomains match too
+      canPersist: () => true,
+      onTouch: null, // (touch) => void
+      ...config,
+    };
+
+    this.touchpoints = [];
+    this.started = false;
+  }
+
+  /**
+   * Load stored touchpoints and record the landing page
+   * @returns {object|null} The touch recorded for this visit
+   */
+  start(url = window.location.href, referrer = document.referrer) {
+    if (this.started) return null;
+    this.started = true;
+
+    this.touchpoints = this.load();
+    return this.capture(url, referrer);
+  }
+
+  /**
+   * Record a visit as a touchpoint. Direct visits only count when nothing is
+   * known yet, so they never replace a real source
+   * @param {string} url - Landing URL
+   * @param {string|null} referrer - Referring URL ('' for none)
+   * @returns {object|null} The new touch, or null if none was recorded
+   */
+  capture(url, referrer = "") {
+    if (!this.started) return null;
+
+    const touch = this.parse(url, referrer);
+    if (!touch) return null;
+    if (touch.channel === "direct" && this.touchpoints.length > 0) return null;
+
+    const last = this.touchpoints[this.touchpoints.length - 1];
+    if (
+      last &&
+      this.getKey(last) === this.getKey(touch) &&
+      touch.timestamp - last.timestamp < this.config.dedupeWindow
+    ) {
+      return null;
+    }
+
+    this.touchpoints.push(touch);
+    if (this.touchpoints.length > this.config.maxTouchpoints) {
+      // The first touch is kept for first-touch attribution
+      this.touchpoints.splice(1, 1);
+    }
+    this.save();
+
+    if (this.config.onTouch) {
+      try {
+        this.config.onTouch(touch);
+      } catch (error) {
+        console.error("StandLog: Attribution onTouch handler failed", error);
+      }
+    }
+
+    return touch;
+  }
+
+  // ===================
+  // CLASSIFICATION
+  // ===================
+
+  /**
+   * Classify a visit from its landing URL and referrer
+   * @returns {object|null} Touch, or null for navigation within the site
+   */
+  parse(url, referrer = "") {
+    let landing;
+    try {
+      landing = new URL(url, window.location.href);
+    } catch (e) {
+      return null;
+    }
+
+    const params = landing.searchParams;
+    const campaign = {};
+    Object.entries(AttributionManager.CAMPAIGN_PARAMS).forEach(
+      ([key, name]) => {
+        const value = params.get(name);
+        campaign[key] = value ? value.trim().toLowerCase() : null;
+      }
+    );
+
+    const clickIds = {};
+    Object.keys(AttributionManager.CLICK_IDS).forEach((name) => {
+      if (params.get(name)) clickIds[name] = params.get(name);
+    });
+
+    const referrerHost = this.getHostname(referrer);
+    const tagged =
+      Object.values(campaign).some(Boolean) || Object.keys(clickIds).length > 0;
+
+    // Moving between pages of the site is not a new visit
+    if (
+      !tagged &&
+      referrer &&
+      (!referrerHost || this.isInternal(referrerHost))
+    ) {
+      return null;
+    }
+
+    const touch = {
+      ...this.classify(campaign, clickIds, referrerHost),
+      medium: campaign.medium,
+      campaign: campaign.campaign,
+      term: campaign.term,
+      content: campaign.content,
+      clickIds,
+      referrer:
+        referrerHost && !this.isInternal(referrerHost) ? referrerHost : null,
+      landingPage: landing.pathname,
+      timestamp: Date.now(),
+    };
+    touch.source = campaign.source || touch.source;
+
+    return touch;
+  }
+
+  /**
+   * Channel, paid network and source; tags win over click IDs, which win over
+   * the referrer
+   */
+  classify(campaign, clickIds, referrerHost) {
+    const { medium, source } = campaign;
+    const clickId = Object.keys(clickIds)[0];
+    const clicked = clickId ? AttributionManager.CLICK_IDS[clickId] : null;
+    const paidClick =
+      clickId && !AttributionManager.ORGANIC_CLICK_IDS.includes(clickId);
+
+    if ((medium && AttributionManager.PAID_MEDIUMS.test(medium)) || paidClick) {
+      return {
+        channel: "paid",
+        network: this.getPaidNetwork(medium, source, clicked),
+        source: clicked?.source || this.getReferrerSource(referrerHost),
+      };
+    }
+
+    if (medium || source) {
+      const channel =
+        this.getChannelFromMedium(medium) ||
+        this.getChannelFromSource(source) ||
+        "other";
+      return { channel, network: null, source: source || null };
+    }
+
+    if (clicked) {
+      return { channel: "social", network: null, source: clicked.source };
+    }
+
+    if (!referrerHost) {
+      return { channel: "direct", network: null, source: null };
+    }
+
+    const email = this.findName(
+      referrerHost,
+      AttributionManager.EMAIL_PROVIDERS
+    );
+    if (email) return { channel: "email", network: null, source: email };
+
+    const search = this.findName(
+      referrerHost,
+      AttributionManager.SEARCH_ENGINES
+    );
+    if (search) return { channel: "search", network: null, source: search };
+
+    const social = this.findName(
+      referrerHost,
+      AttributionManager.SOCIAL_NETWORKS
+    );
+    if (social) return { channel: "social", network: null, source: social };
+
+    return { channel: "referral", network: null, source: referrerHost };
+  }
+
+  /**
+   * Where a paid visit was bought: 'search', 'social', 'display' or 'other'
+   */
+  getPaidNetwork(medium, source, clicked) {
+    if (medium) {
+      const match = Object.entries(AttributionManager.MEDIUM_NETWORKS).find(
+        ([, pattern]) => pattern.test(medium)
+      );
+      if (match) return match[0];
+    }
+
+    if (source && this.findName(source, AttributionManager.SOCIAL_NETWORKS)) {
+      return "social";
+    }
+    if (source && this.findName(source, AttributionManager.SEARCH_ENGINES)) {
+      return "search";
+    }
+    if (clicked) return clicked.network;
+    if (medium && /cpc|ppc/.test(medium)) return "search";
+
+    return "other";
+  }
+
+  getChannelFromMedium(medium) {
+    if (!medium) return null;
+    if (/e-?mail|newsletter/.test(medium)) return "email";
+    if (AttributionManager.MEDIUM_NETWORKS.social.test(medium)) return "social";
+    if (medium === "organic") return "search";
+    if (medium === "referral") return "referral";
+    return null;
+  }
+
+  /**
+   * Sources are tagged with names ('facebook') or hostnames ('facebook.com')
+   */
+  getChannelFromSource(source) {
+    if (!source) return null;
+    if (/e-?mail|newsletter/.test(source)) return "email";
+    if (this.findName(source, AttributionManager.SOCIAL_NETWORKS)) {
+      return "social";
+    }
+    if (this.findName(source, AttributionManager.SEARCH_ENGINES)) {
+      return "search";
+    }
+    return null;
+  }
+
+  getReferrerSource(referrerHost) {
+    if (!referrerHost || this.isInternal(referrerHost)) return null;
+
+    return (
+      this.findName(referrerHost, AttributionManager.SEARCH_ENGINES) ||
+      this.findName(referrerHost, AttributionManager.SOCIAL_NETWORKS) ||
+      referrerHost
+    );
+  }
+
+  /**
+   * Name of the first list entry whose pattern matches a hostname or name
+   */
+  findName(value, list) {
+    const match = Object.entries(list).find(
+      ([name, pattern]) => value === name || pattern.test(value)
+    );
+    return match ? match[0] : null;
+  }
+
+  getHostname(url) {
+    if (!url) return null;
+
+    try {
+      return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  isInternal(hostname) {
+    const own = window.location.hostname.replace(/^www\./, "").toLowerCase();
+    return (
+      hostname === own ||
+      this.config.internalDomains.some((domain) => {
+        // Compared like referrer hostnames, which have www. stripped
+        const internal = String(domain)
+          .toLowerCase()
+          .replace(/^\./, "")
+          .replace(/^www\./, "");
+        return hostname === internal || hostname.endsWith(`.${internal}`);
+      })
+    );
+  }
+
+  getKey(touch) {
+    return [touch.channel, touch.network, touch.source, touch.campaign].join(
+      "|"
+    );
+  }
+
+  // ===================
+  // MODELS
+  // ===================
+
+  getFirstTouch() {
+    return this.touchpoints[0] || null;
+  }
+
+  getLastTouch() {
+    return this.touchpoints[this.touchpoints.length - 1] || null;
+  }
+
+  /**
+   * Credit per channel, source and campaign under a model
+   * @param {string} model - 'first_touch', 'last_touch' or 'linear'
+   * @returns {Array} [{ channel, network, source, campaign, weight }], weights sum to 1
+   */
+  getCredit(model = "last_touch") {
+    let touches;
+    switch (model) {
+      case "first_touch":
+        touches = this.touchpoints.slice(0, 1);
+        break;
+      case "last_touch":
+        touches = this.touchpoints.slice(-1);
+        break;
+      case "linear":
+        touches = this.touchpoints;
+        break;
+      default:
+        console.error(`StandLog: Unknown attribution model "${model}"`);
+        return [];
+    }
+
+    const credit = new Map();
+    touches.forEach((touch) => {
+      const key = this.getKey(touch);
+      const entry = credit.get(key) || {
+        channel: touch.channel,
+        network: touch.network,
+        source: touch.source,
+        campaign: touch.campaign,
+        weight: 0,
+      };
+      entry.weight += 1 / touches.length;
+      credit.set(key, entry);
+    });
+
+    return Array.from(credit.values())
+      .map((entry) => ({
+        ...entry,
+        weight: Math.round(entry.weight * 10000) / 10000,
+      }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * First and last touch plus linear credit over all stored touchpoints
+   */
+  getAttribution() {
+    return {
+      firstTouch: this.getFirstTouch(),
+      lastTouch: this.getLastTouch(),
+      linear: this.getCredit("linear"),
+      touchpoints: [...this.touchpoints],
+    };
+  }
+
+  // ===================
+  // STORAGE
+  // ===================
+
+  load() {
+    if (!this.config.canPersist()) return [];
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.config.canPersist()) return;
+
+    try {
+      localStorage.setItem(
+        this.config.storageKey,
+        JSON.stringify(this.touchpoints)
+      );
+    } catch (e) {
+      // Storage unavailable, touchpoints stay with this page
+    }
+  }
+
+  /**
+   * Forget all touchpoints (e.g. when the user resets)
+   */
+  clear() {
+    this.touchpoints = [];
+
+    try {
+      localStorage.removeItem(this.config.storageKey);
+    } catch (e) {
+      // Storage unavailable
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AttributionManager;
+} else {
+  window.AttributionManager = AttributionManager;
+}
@@ -0,0 +1,252 @@
+/**
+ * StandLog Analytics - Consent Module
+ * Consent state, privacy signals and per-category gating
+ */
+
+class ConsentManager {
+  static CATEGORIES = [
+    "heatmaps",
+    "funnels",
+    "personas",
+    "identification",
+    "replay",
+  ];
+
+  // Only granted by name, never by default or by grant() without arguments,
+  // so existing "Accept all" buttons don't opt visitors into recordings
+  static OPT_IN_CATEGORIES = ["replay"];
+
+  // Which consent category an event type needs before it may be collected
+  static EVENT_CATEGORIES = {
+    click: "heatmaps",
+    scroll: "heatmaps",
+    scroll_milestone: "heatmaps",
+    pointer: "heatmaps",
+    rage_click: "heatmaps",
+    dead_click: "heatmaps",
+    error_click: "heatmaps",
+    pageview: "funnels",
+    form_submit: "funnels",
+    form_field: "funnels",
+    form_invalid: "funnels",
+    form_abandon: "funnels",
+    custom: "funnels",
+    visibility_change: "funnels",
+    error: "funnels",
+    performance: "funnels",
+    impression: "funnels",
+    outbound_click: "funnels",
+    download_click: "funnels",
+    mailto_click: "funnels",
+    tel_click: "funnels",
+    session_start: "funnels",
+    session_end: "funnels",
+    replay: "replay",
+    identify: "identification",
+    alias: "identification",
+  };
+
+  constructor(config = {}) {
+    this.config = {
+      requireConsent: false,
+      respectDoNotTrack: true,
+      persist: true,
+      storageKey: "standlog_consent",
+      defaultCategory: "funnels",
+      ...config,
+    };
+
+    this.listeners = [];
+    this.state = this.getInitialState();
+  }
+
+  /**
+   * Resolve consent state from privacy signals, storage and config
+   */
+  getInitialState() {
+    // An explicit choice made by the visitor outranks browser-wide signals
+    const stored = this.loadState();
+    if (stored) return stored;
+
+    const signal = this.getPrivacySignal();
+    if (signal && this.config.respectDoNotTrack) {
+      return this.createState("denied", [], signal);
+    }
+
+    if (!this.config.requireConsent) {
+      return this.createState(
+        "granted",
+        ConsentManager.getDefaultCategories(),
+        "default"
+      );
+    }
+
+    return this.createState("pending", [], "default");
+  }
+
+  /**
+   * Detect Global Privacy Control or Do Not Track
+   * @returns {string|null} 'gpc', 'dnt' or null
+   */
+  getPrivacySignal() {
+    if (typeof navigator === "undefined") return null;
+
+    if (navigator.globalPrivacyControl === true) return "gpc";
+
+    const dnt =
+      navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    if (dnt === "1" || dnt === "yes") return "dnt";
+
+    return null;
+  }
+
+  createState(status, categories, source) {
+    return {
+      status, // 'pending', 'granted' or 'denied'
+      categories: [...new Set(categories)],
+      source, // 'default', 'user', 'storage', 'dnt' or 'gpc'
+      updatedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Categories granted by default and by grant() without arguments
+   */
+  static getDefaultCategories() {
+    return ConsentManager.CATEGORIES.filter(
+      (category) => !ConsentManager.OPT_IN_CATEGORIES.includes(category)
+    );
+  }
+
+  /**
+   * Grant consent for categories (all but the opt-in ones when omitted)
+   */
+  grant(categories = ConsentManager.getDefaultCategories()) {
+    const granted = this.normalizeCategories(categories);
+    const merged = [...this.state.categories, ...granted];
+
+    this.setState(this.createState("granted", merged, "user"));
+    return this.status();
+  }
+
+  /**
+   * Revoke consent for categories (all when omitted)
+   */
+  revoke(categories = ConsentManager.CATEGORIES) {
+    const revoked = this.normalizeCategories(categories);
+    const remaining = this.state.categories.filter(
+      (category) => !revoked.includes(category)
+    );
+
+    this.setState(
+      this.createState(
+        remaining.length > 0 ? "granted" : "denied",
+        remaining,
+        "user"
+      )
+    );
+    return this.status();
+  }
+
+  normalizeCategories(categories) {
+    const list = Array.isArray(categories) ? categories : [categories];
+    return list.filter((category) =>
+      ConsentManager.CATEGORIES.includes(category)
+    );
+  }
+
+  setState(state) {
+    const previous = this.state;
+    this.state = state;
+    this.saveState();
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.status(), previous);
+      } catch (error) {
+        console.error("StandLog: Consent listener failed", error);
+      }
+    });
+  }
+
+  /**
+   * Get current consent status
+   */
+  status() {
+    const categories = {};
+    ConsentManager.CATEGORIES.forEach((category) => {
+      categories[category] = this.state.categories.includes(category);
+    });
+
+    return {
+      status: this.state.status,
+      decided: this.isDecided(),
+      source: this.state.source,
+      categories,
+      updatedAt: this.state.updatedAt,
+    };
+  }
+
+  /**
+   * Check whether a category has been granted
+   */
+  has(category) {
+    return this.state.categories.includes(category);
+  }
+
+  isDecided() {
+    return this.state.status !== "pending";
+  }
+
+  /**
+   * Check whether an event type may be collected
+   */
+  allowsEvent(type) {
+    return this.has(this.getCategoryForEvent(type));
+  }
+
+  getCategoryForEvent(type) {
+    return ConsentManager.EVENT_CATEGORIES[type] || this.config.defaultCategory;
+  }
+
+  /**
+   * Subscribe to consent changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  loadState() {
+    if (!this.config.persist) return null;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.config.storageKey));
+      if (stored && stored.status) {
+        return { ...stored, source: "storage" };
+      }
+    } catch (e) {
+      // Storage unavailable or corrupted
+    }
+    return null;
+  }
+
+  saveState() {
+    if (!this.config.persist) return;
+
+    try {
+      localStorage.setItem(this.config.storageKey, JSON.stringify(this.state));
+    } catch (e) {
+      // Storage unavailable
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ConsentManager;
+} else {
+  window.ConsentManager = ConsentManager;
+}
@@ -4,6 +4,15 @@
  */
 
 class AnalyticsDashboard {
+  // p75 targets from web.dev: [good, poor] boundaries
+  static VITALS = {
+    lcp: { label: "LCP", unit: "ms", thresholds: [2500, 4000] },
+    inp: { label: "INP", unit: "ms", thresholds: [200, 500] },
+    cls: { label: "CLS", unit: "", thresholds: [0.1, 0.25] },
+    fcp: { label: "FCP", unit: "ms", thresholds: [1800, 3000] },
+    ttfb: { label: "TTFB", unit: "ms", thresholds: [800, 1800] },
+  };
+
   constructor(containerId, config = {}) {
     this.container = document.getElementById(containerId);
     this.config = {
@@ -12,6 +21,7 @@ class AnalyticsDashboard {
       enableAlerts: true,
       defaultDateRange: "7d",
       enableRealTime: true,
+      simulateRealTime: true, // Demo feed; off when fed by the tracker
       ...config,
     };
 
@@ -20,6 +30,8 @@ class AnalyticsDashboard {
       events: [],
       users: {},
       alerts: [],
+      vitals: [], // { device, channel, metrics, timestamp } from performance events
+      sessionChannels: {}, // sessionId -> attribution channel of session_start
     };
 
     this.filters = {
@@ -27,6 +39,7 @@ class AnalyticsDashboard {
       deviceTypes: [],
       browsers: [],
       personas: [],
+      channels: [],
       pages: [],
     };
 
@@ -109,6 +122,20 @@ class AnalyticsDashboard {
               <option value="bouncer">Bouncer</option>
               <option value="mobile_user">Mobile User</option>
               <option value="converter">Converter</option>
+              <option value="paid_social">Paid Social</option>
+            </select>
+          </div>
+          <div class="filter-group">
+            <label>Channel:</label>
+            <select id="channelFilter" multiple>
+              <option value="direct">Direct</option>
+              <option value="search">Search</option>
+              <option value="social">Social</option>
+              <option value="email">Email</option>
+              <option value="paid">Paid</option>
+              <option value="referral">Referral</option>
+              <option value="other">Other</option>
+              <option value="unknown">Unknown</option>
             </select>
           </div>
         </div>
@@ -155,6 +182,10 @@ class AnalyticsDashboard {
             <h3>User Personas</h3>
             <canvas id="personasChart"></canvas>
           </div>
+          <div class="chart-container">
+            <h3>Web Vitals (p75)</h3>
+            <div id="vitalsChart"></div>
+          </div>
         </div>
         
         <div class="dashboard-tables">
@@ -290,6 +321,28 @@ class AnalyticsDashboard {
         color: #721c24;
       }
       
+      .vitals-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(90px, 1fr));
+        gap: 10px;
+      }
+      
+      .vital {
+        padding: 10px;
+        border-radius: 5px;
+        text-align: center;
+        background: #f0f0f0;
+      }
+      
+      .vital-value {
+        font-size: 1.4em;
+        font-weight: bold;
+      }
+      
+      .vital.good { background: #d4edda; color: #155724; }
+      .vital.needs-improvement { background: #fff3cd; color: #856404; }
+      .vital.poor { background: #f8d7da; color: #721c24; }
+      
       .dashboard-charts {
         display: grid;
         grid-template-columns: repeat(auto-fit, minmax(400px, 1fr));
@@ -382,15 +435,17 @@ class AnalyticsDashboard {
     });
 
     // Filter selectors
-    ["deviceFilter", "browserFilter", "personaFilter"].forEach((id) => {
-      document.getElementById(id).addEventListener("change", (e) => {
-        const filterName = id.replace("Filter", "") + "s";
-        this.filters[filterName] = Array.from(e.target.selectedOptions).map(
-          (o) => o.value
-        );
-        this.refreshData();
-      });
-    });
+    ["deviceFilter", "browserFilter", "personaFilter", "channelFilter"].forEach(
+      (id) => {
+        document.getElementById(id).addEventListener("change", (e) => {
+          const filterName = id.replace("Filter", "") + "s";
+          this.filters[filterName] = Array.from(e.target.selectedOptions).map(
+            (o) => o.value
+          );
+          this.refreshData();
+        });
+      }
+    );
 
     // Refresh button
     document.getElementById("refreshBtn").addEventListener("click", () => {
@@ -427,9 +482,11 @@ class AnalyticsDashboard {
    * Setup WebSocket for real-time data
    */
   setupWebSocketConnection() {
+    if (!this.config.simulateRealTime) return;
+
     // This would connect to your real-time analytics endpoint
     // For demo purposes, we'll simulate real-time events
-    setInterval(() => {
+    this.simulationTimer = setInterval(() => {
       this.simulateRealTimeEvent();
     }, 5000);
   }
@@ -456,6 +513,10 @@ class AnalyticsDashboard {
    * Handle real-time event
    */
   handleRealTimeEvent(event) {
+    if (event.type === "session_start" && event.attribution) {
+      this.setSessionChannel(event.sessionId, event.attribution.channel);
+    }
+
     // Add to events list
     this.data.events.unshift(event);
 
@@ -470,6 +531,10 @@ class AnalyticsDashboard {
     // Update metrics
     this.updateMetricsFromEvent(event);
 
+    if (event.type === "performance") {
+      this.addVitalsSample(event);
+    }
+
     // Check for alerts
     this.checkAlerts(event);
   }
@@ -575,6 +640,9 @@ class AnalyticsDashboard {
 
     // Personas chart
     this.updatePersonasChart();
+
+    // Web Vitals widget
+    this.updateVitalsChart();
   }
 
   /**
@@ -731,6 +799,129 @@ class AnalyticsDashboard {
     });
   }
 
+  /**
+   * Record the Web Vitals of a performance event
+   */
+  addVitalsSample(event) {
+    const metrics = {};
+    Object.entries(event.performance?.metrics || {}).forEach(
+      ([name, metric]) => {
+        metrics[name] = metric.value;
+      }
+    );
+
+    this.data.vitals.push({
+      device: event.device?.type || "unknown",
+      channel: this.getChannel(event),
+      metrics,
+      timestamp: event.timestamp,
+    });
+
+    // Keep only the last 500 samples
+    if (this.data.vitals.length > 500) {
+      this.data.vitals = this.data.vitals.slice(-500);
+    }
+
+    this.updateVitalsChart();
+  }
+
+  /**
+   * Attribution channel of the session an event belongs to; "unknown" for
+   * sessions whose session_start the dashboard did not see
+   */
+  getChannel(event) {
+    return this.data.sessionChannels[event.sessionId] || "unknown";
+  }
+
+  /**
+   * Attribute a session to a channel; for sessions that started before the
+   * dashboard was created, whose session_start it never saw
+   */
+  setSessionChannel(sessionId, channel) {
+    if (sessionId && channel) this.data.sessionChannels[sessionId] = channel;
+  }
+
+  /**
+   * Whether a channel passes the channel filter
+   */
+  matchesChannelFilter(channel) {
+    const channels = this.filters.channels;
+    return channels.length === 0 || channels.includes(channel);
+  }
+
+  /**
+   * p75 of each Web Vital, for the selected device types and channels
+   */
+  getVitalsSummary() {
+    const devices = this.filters.deviceTypes;
+    const samples = this.data.vitals.filter(
+      (sample) =>
+        (devices.length === 0 || devices.includes(sample.device)) &&
+        this.matchesChannelFilter(sample.channel)
+    );
+
+    const summary = {};
+    Object.entries(AnalyticsDashboard.VITALS).forEach(([name, vital]) => {
+      const values = samples
+        .map((sample) => sample.metrics[name])
+        .filter((value) => typeof value === "number")
+        .sort((a, b) => a - b);
+      if (values.length === 0) return;
+
+      const p75 = values[Math.ceil(values.length * 0.75) - 1];
+      summary[name] = {
+        p75,
+        samples: values.length,
+        rating:
+          p75 <= vital.thresholds[0]
+            ? "good"
+            : p75 <= vital.thresholds[1]
+            ? "needs-improvement"
+            : "poor",
+      };
+    });
+
+    return summary;
+  }
+
+  /**
+   * Update Web Vitals widget
+   */
+  updateVitalsChart() {
+    const container = document.getElementById("vitalsChart");
+    if (!container) return;
+
+    const summary = this.getVitalsSummary();
+
+    if (Object.keys(summary).length === 0) {
+      container.innerHTML =
+        '<div class="event-time">No performance data yet</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="vitals-grid">
+        ${Object.entries(summary)
+          .map(([name, vital]) => {
+            const { label, unit } = AnalyticsDashboard.VITALS[name];
+            const value =
+              name === "cls"
+                ? vital.p75.toFixed(2)
+                : this.formatNumber(vital.p75);
+
+            return `
+          <div class="vital ${vital.rating}">
+            <div>${label}</div>
+            <div class="vital-value">${value}${unit}</div>
+            <div class="event-time">${vital.samples} samples</div>
+          </div>
+        `;
+          })
+          .join("")}
+      </div>
+    `;
+  }
+
   /**
    * Update tables
    */
@@ -745,7 +936,9 @@ class AnalyticsDashboard {
   updateRealTimeActivity() {
     const container = document.getElementById("realTimeActivity");
 
-    const recentEvents = this.data.events.slice(0, 10);
+    const recentEvents = this.data.events
+      .filter((event) => this.matchesChannelFilter(this.getChannel(event)))
+      .slice(0, 10);
 
     container.innerHTML = `
       <div style="margin-bottom: 15px;">
@@ -774,7 +967,9 @@ class AnalyticsDashboard {
   updateRecentEvents() {
     const container = document.getElementById("recentEvents");
 
-    const events = this.data.events.slice(0, 15);
+    const events = this.data.events
+      .filter((event) => this.matchesChannelFilter(this.getChannel(event)))
+      .slice(0, 15);
 
     container.innerHTML = events
       .map(
@@ -803,6 +998,10 @@ class AnalyticsDashboard {
    * Update metrics from real-time event
    */
   updateMetricsFromEvent(event) {
+    // The totals come from the API unfiltered; live increments follow the
+    // channel filter like the event lists
+    if (!this.matchesChannelFilter(this.getChannel(event))) return;
+
     // Simple real-time metric updates
     if (event.type === "pageview") {
       this.data.metrics.pageViews.current++;
@@ -898,6 +1097,7 @@ class AnalyticsDashboard {
     const exportData = {
       metrics: this.data.metrics,
       events: this.data.events,
+      vitals: this.getVitalsSummary(),
       filters: this.filters,
       timestamp: Date.now(),
     };
@@ -936,6 +1136,7 @@ class AnalyticsDashboard {
    */
   destroy() {
     this.stopAutoRefresh();
+    clearInterval(this.simulationTimer);
     if (this.container) {
       this.container.innerHTML = "";
     }
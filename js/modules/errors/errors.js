@@ -0,0 +1,269 @@
+/**
+ * StandLog Analytics - Error Tracking Module
+ * Runtime errors, unhandled rejections and resource load failures
+ */
+
+class ErrorTracker {
+  constructor(config = {}) {
+    this.config = {
+      captureErrors: true, // window.onerror
+      captureRejections: true, // unhandledrejection
+      captureResources: true, // <img>, <script>, <link> load failures
+      maxStackFrames: 10,
+      maxPerMinute: 10, // Rate limit across all fingerprints
+      ignoreErrors: [/^Script error\.?$/], // Opaque cross-origin errors
+      onError: null, // (error) => void
+      ...config,
+    };
+
+    this.seen = new Map(); // fingerprint -> occurrences this session
+    this.reported = new Set(); // fingerprints already reported this session
+    this.recent = []; // Timestamps of reported errors, for rate limiting
+    this.stats = { captured: 0, reported: 0, deduped: 0, rateLimited: 0 };
+    this.started = false;
+
+    this.handleError = (e) => this.onWindowError(e);
+    this.handleRejection = (e) => this.onRejection(e);
+  }
+
+  /**
+   * Start listening for errors
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    // Capture phase: resource errors don't bubble to window
+    window.addEventListener("error", this.handleError, true);
+    window.addEventListener("unhandledrejection", this.handleRejection);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    window.removeEventListener("error", this.handleError, true);
+    window.removeEventListener("unhandledrejection", this.handleRejection);
+  }
+
+  onWindowError(event) {
+    const target = event.target;
+
+    if (target && target !== window && target.tagName) {
+      if (this.config.captureResources) this.captureResource(target);
+      return;
+    }
+
+    if (!this.config.captureErrors) return;
+
+    this.capture(event.error || event.message, {
+      kind: "error",
+      source: {
+        file: this.normalizeFile(event.filename),
+        line: event.lineno || null,
+        column: event.colno || null,
+      },
+    });
+  }
+
+  onRejection(event) {
+    if (!this.config.captureRejections) return;
+
+    this.capture(event.reason, { kind: "unhandledrejection" });
+  }
+
+  captureResource(element) {
+    const url = element.currentSrc || element.src || element.href || "";
+
+    this.report({
+      kind: "resource",
+      name: "ResourceError",
+      message: `Failed to load ${element.tagName.toLowerCase()}: ${this.normalizeFile(
+        url
+      )}`,
+      stack: [],
+      resource: {
+        tagName: element.tagName.toLowerCase(),
+        url: this.normalizeFile(url),
+      },
+      handled: false,
+    });
+  }
+
+  /**
+   * Capture an error (or any thrown value)
+   * @param {*} error - Error instance, message or rejection reason
+   * @param {object} details - { kind, handled, source, context }
+   */
+  capture(error, details = {}) {
+    // Duck-typed: errors from other frames fail instanceof Error
+    const isError = Boolean(error) && typeof error.message === "string";
+    const message = isError
+      ? error.message
+      : typeof error === "string"
+      ? error
+      : this.describe(error);
+
+    const stack = this.parseStack(isError ? error.stack : "");
+
+    return this.report({
+      kind: details.kind || "error",
+      name: (isError && error.name) || "Error",
+      message: String(message || "Unknown error").substring(0, 500),
+      stack,
+      source: details.source || stack[0] || null,
+      handled: Boolean(details.handled),
+      ...(details.context && { context: details.context }),
+    });
+  }
+
+  /**
+   * Apply ignore rules, dedupe and rate limit, then hand the error on
+   */
+  report(error) {
+    this.stats.captured++;
+
+    if (this.isIgnored(error.message)) return null;
+
+    error.fingerprint = this.fingerprint(error);
+
+    // Count repeats, but only report each fingerprint once per session
+    this.seen.set(
+      error.fingerprint,
+      (this.seen.get(error.fingerprint) || 0) + 1
+    );
+    if (this.reported.has(error.fingerprint)) {
+      this.stats.deduped++;
+      return null;
+    }
+
+    const now = Date.now();
+    this.recent = this.recent.filter((time) => now - time < 60000);
+    if (this.recent.length >= this.config.maxPerMinute) {
+      this.stats.rateLimited++;
+      return null;
+    }
+    this.recent.push(now);
+    this.reported.add(error.fingerprint);
+
+    this.stats.reported++;
+    if (this.config.onError) {
+      try {
+        this.config.onError(error);
+      } catch (e) {
+        // Never let reporting raise an error that would be captured again
+        console.error("StandLog: Failed to report error", e);
+      }
+    }
+    return error;
+  }
+
+  isIgnored(message) {
+    return this.config.ignoreErrors.some((pattern) =>
+      pattern instanceof RegExp
+        ? pattern.test(message)
+        : message.includes(pattern)
+    );
+  }
+
+  /**
+   * Parse V8 ("at fn (file:1:2)") and Firefox/Safari ("fn@file:1:2") stacks
+   */
+  parseStack(stack) {
+    if (!stack) return [];
+
+    const frames = [];
+    const v8 = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+    const gecko = /^\s*(.*?)@(.+?):(\d+):(\d+)$/;
+
+    stack.split("\n").forEach((line) => {
+      const match = line.match(v8) || line.match(gecko);
+      if (!match || frames.length >= this.config.maxStackFrames) return;
+
+      frames.push({
+        function: match[1] || "<anonymous>",
+        file: this.normalizeFile(match[2]),
+        line: parseInt(match[3], 10),
+        column: parseInt(match[4], 10),
+      });
+    });
+
+    return frames;
+  }
+
+  /**
+   * Strip query strings and fragments (cache busters, tokens) from file URLs
+   */
+  normalizeFile(file) {
+    return file ? String(file).split(/[?#]/)[0] : null;
+  }
+
+  /**
+   * Group errors by kind, name, message shape and top frames
+   */
+  fingerprint(error) {
+    const message = error.message
+      .replace(/\d+/g, "<n>") // IDs, counts, line numbers
+      .replace(/(["']).*?\1/g, "<s>"); // Quoted values
+    const frames = error.stack
+      .slice(0, 3)
+      .map((frame) => `${frame.function}@${frame.file}:${frame.line}`)
+      .join("|");
+
+    return ErrorTracker.hash(
+      [
+        error.kind,
+        error.name,
+        message,
+        frames || error.resource?.url || "",
+      ].join("\n")
+    );
+  }
+
+  /**
+   * FNV-1a hash
+   */
+  static hash(value) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  describe(value) {
+    try {
+      return JSON.stringify(value);
+    } catch (e) {
+      return String(value);
+    }
+  }
+
+  /**
+   * Forget seen fingerprints when a new session starts
+   */
+  resetSession() {
+    this.seen.clear();
+    this.reported.clear();
+  }
+
+  /**
+   * Get error statistics, including repeat counts per fingerprint
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      fingerprints: Object.fromEntries(this.seen),
+    };
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ErrorTracker;
+} else {
+  window.ErrorTracker = ErrorTracker;
+}
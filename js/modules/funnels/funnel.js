@@ -8,10 +8,12 @@ class FunnelAnalyzer {
     this.config = {
       funnels: [],
       autoTrack: true,
+      replayUrl: null, // Player page for drop-offs, with {sessionId} and {time}
       ...config,
     };
-    this.events = [];
     this.funnelData = new Map();
+    this.recordedSessions = new Set(); // Sessions with a replay recording
+    this.selectors = new SelectorGenerator();
 
     if (this.config.autoTrack) {
       this.setupAutoTracking();
@@ -31,6 +33,7 @@ class FunnelAnalyzer {
         url: step.url,
         event: step.event,
         selector: step.selector,
+        seen: step.seen,
         order: index,
       })),
       options: {
@@ -89,14 +92,22 @@ class FunnelAnalyzer {
       });
     };
 
+    // Re-run URL step matching on single-page app route changes
+    window.addEventListener("standlog_route_change", (e) => {
+      this.trackPageView(e.detail.url, e.detail.title);
+    });
+
     // Track clicks for selector-based steps
     document.addEventListener("click", (e) => {
-      this.addEvent({
-        type: "click",
-        element: this.getElementInfo(e.target),
-        timestamp: Date.now(),
-        url: window.location.href,
-      });
+      this.addEvent(
+        {
+          type: "click",
+          element: this.getElementInfo(e.target),
+          timestamp: Date.now(),
+          url: window.location.href,
+        },
+        e.target
+      );
     });
 
     // Track form submissions
@@ -122,29 +133,38 @@ class FunnelAnalyzer {
   }
 
   /**
-   * Add event to analysis queue
+   * Analyze a single event
+   * @param {object} event - Tracked event
+   * @param {Element} target - Live element of a click, used for matching only
    */
-  addEvent(event) {
-    event.sessionId = this.getSessionId();
-    event.userId = this.getUserId();
+  addEvent(event, target = null) {
+    // Events forwarded by the tracker already carry its session and user
+    event.sessionId = event.sessionId || this.getSessionId();
+    event.userId = event.userId || this.getUserId();
+
+    // Recordings are large; only note that the session can be replayed
+    if (event.type === "replay") {
+      this.recordedSessions.add(event.sessionId);
+      return;
+    }
 
-    this.events.push(event);
-    this.analyzeEvent(event);
+    // Matched events are kept per funnel session, so no global copy is held
+    this.analyzeEvent(event, target);
   }
 
   /**
    * Analyze event against all funnels
    */
-  analyzeEvent(event) {
+  analyzeEvent(event, target = null) {
     this.config.funnels.forEach((funnel) => {
-      this.checkFunnelStep(funnel, event);
+      this.checkFunnelStep(funnel, event, target);
     });
   }
 
   /**
    * Check if event matches any funnel step
    */
-  checkFunnelStep(funnel, event) {
+  checkFunnelStep(funnel, event, target = null) {
     const funnelData = this.funnelData.get(funnel.id);
     const sessionId = event.sessionId;
 
@@ -166,7 +186,7 @@ class FunnelAnalyzer {
 
     // Check each step
     funnel.steps.forEach((step, stepIndex) => {
-      if (this.eventMatchesStep(event, step)) {
+      if (this.eventMatchesStep(event, step, target)) {
         this.processStepCompletion(funnel, session, stepIndex, event);
       }
     });
@@ -175,11 +195,12 @@ class FunnelAnalyzer {
   /**
    * Check if event matches funnel step
    */
-  eventMatchesStep(event, step) {
+  eventMatchesStep(event, step, target = null) {
     // URL-based matching
     if (step.url) {
-      if (event.type === "pageview" && event.url) {
-        return this.urlMatches(event.url, step.url);
+      const url = event.url || event.page?.url;
+      if (event.type === "pageview" && url) {
+        return this.urlMatches(url, step.url);
       }
     }
 
@@ -195,7 +216,20 @@ class FunnelAnalyzer {
 
     // Selector-based matching
     if (step.selector && event.type === "click") {
-      return this.elementMatchesSelector(event.element, step.selector);
+      return this.elementMatchesSelector(
+        target || event.element,
+        step.selector
+      );
+    }
+
+    // Element seen: an impression name or a selector; later visible-time
+    // updates of the same impression don't count again
+    if (step.seen && event.type === "impression") {
+      if (event.impression?.reason !== "seen") return false;
+      return (
+        event.impression.name === step.seen ||
+        this.elementMatchesSelector(target || event.element, step.seen)
+      );
     }
 
     return false;
@@ -333,12 +367,87 @@ class FunnelAnalyzer {
         dropoffCount,
         dropoffRate,
         insights: this.generateDropoffInsights(funnelData, i),
+        performance: this.comparePerformance(funnelData, i),
+        sessions: this.getDropoffSessions(funnelData, i),
       });
     }
 
     return dropoffs;
   }
 
+  /**
+   * Sessions that reached a step and went no further, with a link to their
+   * recording when there is one
+   */
+  getDropoffSessions(funnelData, stepIndex) {
+    const sessions = [];
+
+    funnelData.sessions.forEach((session) => {
+      const reached = session.completedSteps[stepIndex];
+      if (!reached || session.completedSteps[stepIndex + 1]) return;
+
+      const replay = this.recordedSessions.has(session.sessionId);
+      sessions.push({
+        sessionId: session.sessionId,
+        userId: session.userId,
+        droppedAt: reached.timestamp,
+        replay,
+        replayUrl:
+          replay && this.config.replayUrl
+            ? this.config.replayUrl
+                .replace("{sessionId}", encodeURIComponent(session.sessionId))
+                .replace("{time}", reached.timestamp)
+            : null,
+      });
+    });
+
+    return sessions;
+  }
+
+  /**
+   * Compare p75 Web Vitals on a step's pages between sessions that dropped
+   * off there and sessions that went on to the next step
+   */
+  comparePerformance(funnelData, stepIndex) {
+    const groups = { dropped: [], continued: [] };
+
+    funnelData.sessions.forEach((session) => {
+      const reached = session.completedSteps[stepIndex];
+      if (!reached) return;
+
+      const next = session.completedSteps[stepIndex + 1];
+      const reports = session.events.filter(
+        (event) =>
+          event.type === "performance" &&
+          event.timestamp >= reached.timestamp &&
+          (!next || event.timestamp <= next.timestamp)
+      );
+
+      (next ? groups.continued : groups.dropped).push(...reports);
+    });
+
+    const summarize = (events) => {
+      const values = {};
+      events.forEach((event) => {
+        Object.entries(event.performance.metrics).forEach(([name, metric]) => {
+          (values[name] = values[name] || []).push(metric.value);
+        });
+      });
+
+      const p75 = {};
+      Object.entries(values).forEach(([name, list]) => {
+        list.sort((a, b) => a - b);
+        p75[name] = list[Math.ceil(list.length * 0.75) - 1];
+      });
+      return { samples: events.length, p75 };
+    };
+
+    return {
+      dropped: summarize(groups.dropped),
+      continued: summarize(groups.continued),
+    };
+  }
+
   /**
    * Analyze timing between steps
    */
@@ -421,16 +530,28 @@ class FunnelAnalyzer {
     return eventUrl.includes(stepUrl);
   }
 
+  /**
+   * Evaluate a CSS selector against a live element or stored element info
+   */
   elementMatchesSelector(element, selector) {
-    try {
-      return (
-        element.id === selector.replace("#", "") ||
-        element.className.includes(selector.replace(".", "")) ||
-        element.tagName.toLowerCase() === selector.toLowerCase()
-      );
-    } catch (e) {
-      return false;
+    if (!element) return false;
+    if (typeof element.matches === "function") {
+      return SelectorGenerator.matches(element, selector);
     }
+
+    // Element info without an ancestry (older events): match the element alone
+    const ancestry = element.ancestry || [
+      {
+        tagName: element.tagName,
+        id: element.id || "",
+        classes: String(element.className || "")
+          .split(/\s+/)
+          .filter(Boolean),
+        attributes: element.attributes || {},
+        nthOfType: null,
+      },
+    ];
+    return SelectorGenerator.matches(ancestry, selector);
   }
 
   getElementInfo(element) {
@@ -439,6 +560,7 @@ class FunnelAnalyzer {
       id: element.id,
       className: element.className,
       textContent: element.textContent?.trim().substring(0, 50),
+      ancestry: this.selectors.getAncestry(element),
     };
   }
 
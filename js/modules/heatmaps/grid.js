@@ -0,0 +1,127 @@
+/**
+ * StandLog Analytics - Density Grid Module
+ * Heatmap points pre-binned in page coordinates, with coarser levels for
+ * zoomed-out views, so a frame draws cells instead of every point
+ */
+
+class DensityGrid {
+  constructor(points, config = {}) {
+    this.config = {
+      cellSize: 12.5, // px per level 0 cell, in page coordinates
+      levels: 6, // Each level doubles the cell size of the one before
+      ...config,
+    };
+
+    const count = points.length;
+    const source = {
+      count,
+      x: new Float32Array(count),
+      y: new Float32Array(count),
+      weight: new Float32Array(count),
+    };
+    points.forEach((point, i) => {
+      source.x[i] = point.x;
+      source.y[i] = point.y;
+      source.weight[i] = point.weight;
+    });
+
+    this.count = count;
+    this.levels = [DensityGrid.bin(source, this.config.cellSize)];
+  }
+
+  /**
+   * Cells of a level, built from the level below on first use
+   * @returns {object} { size, count, x, y, weight } with Float32Array columns
+   */
+  getLevel(index) {
+    const last = Math.min(index, this.config.levels - 1);
+
+    while (this.levels.length <= last) {
+      const below = this.levels[this.levels.length - 1];
+      this.levels.push(DensityGrid.bin(below, below.size * 2));
+    }
+
+    return this.levels[last];
+  }
+
+  /**
+   * Finest level whose cells are at least minSize screen px at this zoom
+   */
+  pickLevel(scale, minSize) {
+    const ratio = minSize / (this.config.cellSize * scale);
+    const index = ratio > 1 ? Math.ceil(Math.log2(ratio)) : 0;
+    return Math.min(index, this.config.levels - 1);
+  }
+
+  /**
+   * Heaviest cell of a level within page bounds
+   * @param {object} bounds - { left, top, right, bottom } in page coordinates
+   */
+  getMax(level, bounds) {
+    let max = 0;
+
+    for (let i = 0; i < level.count; i++) {
+      const x = level.x[i];
+      const y = level.y[i];
+      if (
+        x >= bounds.left &&
+        x <= bounds.right &&
+        y >= bounds.top &&
+        y <= bounds.bottom &&
+        level.weight[i] > max
+      ) {
+        max = level.weight[i];
+      }
+    }
+
+    return max;
+  }
+
+  /**
+   * Sum weights into cells of a size, each at the weighted center of what
+   * it holds
+   */
+  static bin(source, size) {
+    const cells = new Map(); // "column,row" -> index
+    const x = [];
+    const y = [];
+    const weight = [];
+
+    for (let i = 0; i < source.count; i++) {
+      const key = `${Math.floor(source.x[i] / size)},${Math.floor(
+        source.y[i] / size
+      )}`;
+      const cell = cells.get(key);
+
+      if (cell === undefined) {
+        cells.set(key, x.length);
+        x.push(source.x[i]);
+        y.push(source.y[i]);
+        weight.push(source.weight[i]);
+        continue;
+      }
+
+      const total = weight[cell] + source.weight[i];
+      if (total > 0) {
+        x[cell] += ((source.x[i] - x[cell]) * source.weight[i]) / total;
+        y[cell] += ((source.y[i] - y[cell]) * source.weight[i]) / total;
+      }
+      weight[cell] = total;
+    }
+
+    return {
+      size,
+      count: x.length,
+      x: Float32Array.from(x),
+      y: Float32Array.from(y),
+      weight: Float32Array.from(weight),
+    };
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DensityGrid;
+} else {
+  window.DensityGrid = DensityGrid;
+}
@@ -1,6 +1,6 @@
 /**
  * StandLog Analytics - Heatmaps Module
- * Interactive click & scroll heatmaps with zoom/pan functionality
+ * Interactive click, scroll, movement and attention heatmaps with zoom/pan
  */
 
 class HeatmapRenderer {
@@ -8,10 +8,16 @@ class HeatmapRenderer {
     this.container = container;
     this.data = data;
     this.options = {
-      type: "click", // 'click' or 'scroll'
-      maxIntensity: 100,
-      radius: 25,
-      blur: 15,
+      type: "click", // 'click', 'scroll', 'move' or 'attention'
+      radius: 25, // Kernel radius in px at 100% zoom, blur included
+      blur: 15, // Soft edge of the kernel in px
+      max: null, // Density at the top of the scale; null uses the densest spot
+      minOpacity: 0.05, // So single points stay visible next to hotspots
+      opacity: 0.6, // Of the colored density layer
+      legend: true,
+      renderer: "auto", // 'auto' (WebGL when available), 'webgl' or 'canvas'
+      minCellSize: 6, // Screen px per grid cell before a coarser level is drawn
+      benchmark: false, // Time every frame and show the stats
       gradient: {
         0.0: "blue",
         0.3: "cyan",
@@ -19,16 +25,45 @@ class HeatmapRenderer {
         0.7: "yellow",
         1.0: "red",
       },
+      scrollMetric: "reach", // 'reach' or 'time' (in view per depth band)
+      gridSize: 20, // px per cell of the move and attention density grid
+      breakpoint: "all", // 'all' or one of breakpoints
+      breakpoints: { mobile: 0, tablet: 768, desktop: 1024 }, // Min viewport width of each segment
+      frustrationLayer: true, // Rage/dead/error click markers over the heatmap
+      frustrationColors: {
+        rage_click: "#e53935",
+        dead_click: "#757575",
+        error_click: "#fb8c00",
+      },
       ...options,
     };
 
     this.canvas = null;
     this.ctx = null;
+    this.densityCanvas = null; // Offscreen grayscale accumulation
+    this.glCanvas = null;
+    this.gl = null; // WebGLDensityRenderer, or null for Canvas2D
+    this.grid = null; // DensityGrid of the current type and segment
+    this.kernel = null;
+    this.palette = null; // 256 RGBA entries built from options.gradient
+    this.legend = null; // { min, max } labels of the current layer
+    this.layout = null; // Page width and element boxes points are placed on
+    this.controls = []; // Clickable areas drawn by renderControls
     this.scale = 1;
     this.panX = 0;
     this.panY = 0;
     this.isPanning = false;
     this.lastPanPoint = { x: 0, y: 0 };
+    this.frame = null; // Pending animation frame render
+    this.frameTimes = []; // ms, latest last, while benchmarking
+
+    // Window and document listeners, removed again by destroy()
+    this.handleResize = () => this.resizeCanvas();
+    this.handlePanMove = (e) => this.onPanMove(e);
+    this.handlePanEnd = () => {
+      this.isPanning = false;
+      this.canvas.style.cursor = "grab";
+    };
 
     this.init();
   }
@@ -57,8 +92,57 @@ class HeatmapRenderer {
     this.ctx = this.canvas.getContext("2d");
     this.container.appendChild(this.canvas);
 
+    this.densityCanvas = document.createElement("canvas");
+    this.createWebGL();
+
     this.resizeCanvas();
-    window.addEventListener("resize", () => this.resizeCanvas());
+    window.addEventListener("resize", this.handleResize);
+  }
+
+  /**
+   * WebGL layer under the controls canvas, unless Canvas2D is asked for or
+   * WebGL is unavailable
+   */
+  createWebGL() {
+    if (this.options.renderer === "canvas") return;
+
+    const canvas = document.createElement("canvas");
+    canvas.style.position = "absolute";
+    canvas.style.top = "0";
+    canvas.style.left = "0";
+    canvas.style.pointerEvents = "none";
+    canvas.style.zIndex = "999";
+
+    try {
+      this.gl = new WebGLDensityRenderer(canvas, {
+        onContextLost: () => this.useCanvas2D(),
+      });
+    } catch (error) {
+      if (this.options.renderer === "webgl") {
+        console.error(
+          "StandLog: WebGL heatmaps unavailable, using Canvas2D",
+          error
+        );
+      }
+      return;
+    }
+
+    this.glCanvas = canvas;
+    this.container.insertBefore(canvas, this.canvas);
+  }
+
+  /**
+   * Fall back to the Canvas2D renderer
+   */
+  useCanvas2D() {
+    if (this.gl) this.gl.destroy();
+    if (this.glCanvas && this.glCanvas.parentNode) {
+      this.glCanvas.parentNode.removeChild(this.glCanvas);
+    }
+
+    this.gl = null;
+    this.glCanvas = null;
+    this.render();
   }
 
   /**
@@ -76,6 +160,18 @@ class HeatmapRenderer {
       this.zoom(zoom, x, y);
     });
 
+    // Buttons drawn on the canvas by renderControls
+    this.canvas.addEventListener("click", (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+
+      const control = this.controls.find(
+        (c) => x >= c.x && x <= c.x + c.width && y >= c.y && y <= c.y + c.height
+      );
+      if (control) control.action();
+    });
+
     // Pan with mouse drag
     this.canvas.addEventListener("mousedown", (e) => {
       this.isPanning = true;
@@ -83,26 +179,27 @@ class HeatmapRenderer {
       this.lastPanPoint = { x: e.clientX, y: e.clientY };
     });
 
-    document.addEventListener("mousemove", (e) => {
-      if (!this.isPanning) return;
+    document.addEventListener("mousemove", this.handlePanMove);
+    document.addEventListener("mouseup", this.handlePanEnd);
 
-      const deltaX = e.clientX - this.lastPanPoint.x;
-      const deltaY = e.clientY - this.lastPanPoint.y;
+    // Touch support for mobile
+    this.setupTouchEvents();
+  }
 
-      this.panX += deltaX;
-      this.panY += deltaY;
+  /**
+   * Pan by a mouse drag, which may leave the canvas
+   */
+  onPanMove(e) {
+    if (!this.isPanning) return;
 
-      this.lastPanPoint = { x: e.clientX, y: e.clientY };
-      this.render();
-    });
+    const deltaX = e.clientX - this.lastPanPoint.x;
+    const deltaY = e.clientY - this.lastPanPoint.y;
 
-    document.addEventListener("mouseup", () => {
-      this.isPanning = false;
-      this.canvas.style.cursor = "grab";
-    });
+    this.panX += deltaX;
+    this.panY += deltaY;
 
-    // Touch support for mobile
-    this.setupTouchEvents();
+    this.lastPanPoint = { x: e.clientX, y: e.clientY };
+    this.scheduleRender();
   }
 
   /**
@@ -138,7 +235,7 @@ class HeatmapRenderer {
           x: e.touches[0].clientX,
           y: e.touches[0].clientY,
         };
-        this.render();
+        this.scheduleRender();
       } else if (e.touches.length === 2) {
         const distance = this.getTouchDistance(e.touches[0], e.touches[1]);
         const zoom = distance / lastTouchDistance;
@@ -180,7 +277,7 @@ class HeatmapRenderer {
     this.panY = centerY - (centerY - this.panY) * scaleDelta;
 
     this.scale = newScale;
-    this.render();
+    this.scheduleRender();
   }
 
   /**
@@ -190,14 +287,48 @@ class HeatmapRenderer {
     const rect = this.container.getBoundingClientRect();
     this.canvas.width = rect.width;
     this.canvas.height = rect.height;
+    this.densityCanvas.width = rect.width;
+    this.densityCanvas.height = rect.height;
+    if (this.glCanvas) {
+      this.glCanvas.width = rect.width;
+      this.glCanvas.height = rect.height;
+    }
+    this.layout = null;
+    this.grid = null;
     this.render();
   }
 
+  /**
+   * Render once on the next animation frame, however many moves come first
+   */
+  scheduleRender() {
+    if (this.frame) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
   /**
    * Render heatmap
    */
   render() {
+    const start = performance.now();
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.legend = null;
+
+    // Density layers are composed in screen space, before the transform
+    if (this.options.type === "click") {
+      this.renderClickHeatmap();
+    } else if (
+      this.options.type === "move" ||
+      this.options.type === "attention"
+    ) {
+      this.renderPointerHeatmap(this.options.type);
+    } else if (this.gl) {
+      this.gl.clear();
+    }
 
     // Save context state
     this.ctx.save();
@@ -206,137 +337,611 @@ class HeatmapRenderer {
     this.ctx.translate(this.panX, this.panY);
     this.ctx.scale(this.scale, this.scale);
 
-    if (this.options.type === "click") {
-      this.renderClickHeatmap();
-    } else if (this.options.type === "scroll") {
+    if (this.options.type === "scroll") {
       this.renderScrollHeatmap();
     }
 
+    if (this.options.frustrationLayer) {
+      this.renderFrustrationLayer();
+    }
+
     // Restore context state
     this.ctx.restore();
 
     this.renderControls();
+    this.renderLegend();
+
+    if (this.options.benchmark) this.recordFrame(start);
   }
 
   /**
-   * Render click heatmap
+   * Render click heatmap; each click counts once unless it carries an
+   * intensity (e.g. pre-aggregated data)
    */
   renderClickHeatmap() {
-    const gradient = this.createRadialGradient();
+    const max = this.renderDensity(this.getDensityGrid());
+    if (max) this.legend = { min: "0", max: `${max} clicks` };
+  }
 
-    this.data.forEach((point) => {
+  getClickPoints() {
+    const points = [];
+    this.getSegment().forEach((point) => {
       if (point.type === "click" && point.coordinates) {
-        this.ctx.save();
-        this.ctx.globalAlpha = Math.min(
-          1,
-          point.intensity / this.options.maxIntensity
-        );
-        this.ctx.fillStyle = gradient;
-        this.ctx.translate(point.coordinates.pageX, point.coordinates.pageY);
-        this.ctx.fillRect(
-          -this.options.radius,
-          -this.options.radius,
-          this.options.radius * 2,
-          this.options.radius * 2
-        );
-        this.ctx.restore();
+        points.push({
+          ...this.projectClick(point),
+          weight: point.intensity || 1,
+        });
       }
     });
+    return points;
   }
 
+  // ===================
+  // DENSITY PIPELINE
+  // ===================
+
   /**
-   * Render scroll heatmap
+   * Points of the current type and segment, binned once per data change
+   * rather than on every frame
    */
-  renderScrollHeatmap() {
-    // Group scroll data by Y position
-    const scrollMap = {};
+  getDensityGrid() {
+    const cellSize = this.options.radius / 2;
+    if (this.grid && this.grid.config.cellSize === cellSize) return this.grid;
+
+    const points =
+      this.options.type === "click"
+        ? this.getClickPoints()
+        : this.getPointerPoints(this.options.type);
+    this.grid = new DensityGrid(points, { cellSize });
+    return this.grid;
+  }
+
+  /**
+   * Draw a density grid: each visible cell's share of the maximum is
+   * stamped as grayscale alpha, then every pixel is colored through the
+   * palette, on the GPU when WebGL is in use
+   * @returns {number} The density at the top of the scale (0 when empty)
+   */
+  renderDensity(grid) {
+    const { width, height } = this.canvas;
+    if (!width || !height || grid.count === 0) {
+      if (this.gl) this.gl.clear();
+      return 0;
+    }
 
-    this.data.forEach((point) => {
-      if (point.type === "scroll" && point.scroll) {
-        const y = Math.floor(point.scroll.y / 50) * 50; // Group by 50px segments
-        scrollMap[y] = (scrollMap[y] || 0) + 1;
+    // Zoomed out, coarser cells keep the number of stamps down; each covers
+    // twice the distance and four times the area of the level below
+    const index = grid.pickLevel(this.scale, this.options.minCellSize);
+    const level = grid.getLevel(index);
+    const spread = 2 ** index;
+    const radius = Math.max(1, this.options.radius * spread * this.scale);
+    const blur = this.options.blur * spread * this.scale;
+
+    const margin = radius / this.scale;
+    const bounds = {
+      left: -this.panX / this.scale - margin,
+      top: -this.panY / this.scale - margin,
+      right: (width - this.panX) / this.scale + margin,
+      bottom: (height - this.panY) / this.scale + margin,
+    };
+
+    // Scaled so the legend and options.max read per level 0 cell
+    const max = this.options.max
+      ? this.options.max * spread ** 2
+      : grid.getMax(level, bounds);
+    if (!max) {
+      if (this.gl) this.gl.clear();
+      return 0;
+    }
+
+    const view = { level, bounds, radius, blur, max };
+    if (this.gl) {
+      this.gl.draw({
+        ...view,
+        minOpacity: this.options.minOpacity,
+        opacity: this.options.opacity,
+        palette: this.getPalette(),
+        scale: this.scale,
+        panX: this.panX,
+        panY: this.panY,
+      });
+    } else {
+      this.drawDensity(view);
+    }
+
+    return Math.round((max / spread ** 2) * 100) / 100;
+  }
+
+  /**
+   * Canvas2D fallback of the WebGL renderer
+   */
+  drawDensity({ level, bounds, radius, blur, max }) {
+    const { width, height } = this.canvas;
+    const ctx = this.densityCanvas.getContext("2d");
+    const kernel = this.getKernel(radius, blur);
+    ctx.clearRect(0, 0, width, height);
+
+    for (let i = 0; i < level.count; i++) {
+      const x = level.x[i];
+      const y = level.y[i];
+      if (
+        x < bounds.left ||
+        x > bounds.right ||
+        y < bounds.top ||
+        y > bounds.bottom
+      ) {
+        continue;
       }
+
+      ctx.globalAlpha = Math.min(
+        1,
+        Math.max(this.options.minOpacity, level.weight[i] / max)
+      );
+      ctx.drawImage(
+        kernel,
+        x * this.scale + this.panX - radius,
+        y * this.scale + this.panY - radius
+      );
+    }
+    ctx.globalAlpha = 1;
+
+    const image = ctx.getImageData(0, 0, width, height);
+    this.colorize(image.data);
+    this.ctx.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Grayscale stamp of one point: solid in the middle, fading over blur px
+   */
+  getKernel(radius, blur) {
+    const key = `${radius}:${blur}`;
+    if (this.kernel?.key === key) return this.kernel.canvas;
+
+    const canvas = document.createElement("canvas");
+    const size = Math.ceil(radius * 2);
+    canvas.width = size;
+    canvas.height = size;
+
+    // Opaque at the center so the densest bin reaches the top of the scale
+    const ctx = canvas.getContext("2d");
+    const gradient = ctx.createRadialGradient(
+      radius,
+      radius,
+      Math.max(0, radius - blur),
+      radius,
+      radius,
+      radius
+    );
+    gradient.addColorStop(0, "rgba(0, 0, 0, 1)");
+    gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+
+    this.kernel = { key, canvas };
+    return canvas;
+  }
+
+  /**
+   * Map accumulated alpha (0-255) to palette colors, in place
+   */
+  colorize(pixels) {
+    const palette = this.getPalette();
+    const opacity = this.options.opacity;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+      const alpha = pixels[i + 3];
+      if (alpha === 0) continue;
+
+      const offset = alpha * 4;
+      pixels[i] = palette[offset];
+      pixels[i + 1] = palette[offset + 1];
+      pixels[i + 2] = palette[offset + 2];
+      pixels[i + 3] = alpha * opacity;
+    }
+  }
+
+  /**
+   * 256 RGBA colors interpolated between the stops of options.gradient
+   * @returns {Uint8ClampedArray}
+   */
+  getPalette() {
+    if (this.palette) return this.palette;
+
+    const canvas = document.createElement("canvas");
+    canvas.width = 256;
+    canvas.height = 1;
+
+    const ctx = canvas.getContext("2d");
+    const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+    Object.entries(this.options.gradient).forEach(([stop, color]) => {
+      gradient.addColorStop(parseFloat(stop), color);
     });
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 256, 1);
 
-    // Find max intensity for normalization
-    const maxScrollIntensity = Math.max(...Object.values(scrollMap));
+    this.paletteCanvas = canvas; // Reused for the legend
+    this.palette = ctx.getImageData(0, 0, 256, 1).data;
+    return this.palette;
+  }
 
-    // Render scroll bars
-    Object.entries(scrollMap).forEach(([y, intensity]) => {
-      const normalizedIntensity = intensity / maxScrollIntensity;
-      const alpha = Math.min(1, normalizedIntensity);
+  /**
+   * Render scroll heatmap from per-page scroll summaries; each depth band is
+   * colored by the share of page views that reached it, or by time in view
+   */
+  renderScrollHeatmap() {
+    const reports = this.getScrollReports();
+    if (reports.length === 0) return;
+
+    const bandSize = reports[0].bandSize;
+    const sameBands = reports.filter((report) => report.bandSize === bandSize);
+    const values = new Array(Math.ceil(100 / bandSize)).fill(0);
+
+    sameBands.forEach((report) => {
+      values.forEach((value, index) => {
+        values[index] +=
+          this.options.scrollMetric === "time"
+            ? report.bands[index] || 0
+            : report.maxDepth > index * bandSize
+            ? 1
+            : 0;
+      });
+    });
+
+    const maxValue = Math.max(...values);
+    if (maxValue === 0) return;
+
+    this.legend =
+      this.options.scrollMetric === "time"
+        ? {
+            min: "0s",
+            max: `${(maxValue / sameBands.length / 1000).toFixed(1)}s`,
+          }
+        : {
+            min: "0%",
+            max: `${Math.round((maxValue / sameBands.length) * 100)}%`,
+          };
+
+    // Pages differ in height, so bands are laid out on the average page
+    const average = (key) =>
+      sameBands.reduce((sum, report) => sum + key(report), 0) /
+      sameBands.length;
+    const bandHeight =
+      (average((report) => report.pageHeight) * bandSize) / 100;
+    const width = this.canvas.width / this.scale;
+
+    values.forEach((value, index) => {
+      const normalizedIntensity = value / maxValue;
+      const y = index * bandHeight;
 
       this.ctx.fillStyle = this.getColorForIntensity(normalizedIntensity);
-      this.ctx.globalAlpha = alpha;
-      this.ctx.fillRect(0, parseInt(y), this.canvas.width / this.scale, 50);
+      this.ctx.globalAlpha = normalizedIntensity * this.options.opacity;
+      this.ctx.fillRect(0, y, width, bandHeight);
+
+      const label =
+        this.options.scrollMetric === "time"
+          ? `${(value / sameBands.length / 1000).toFixed(1)}s`
+          : `${Math.round((value / sameBands.length) * 100)}%`;
+      this.ctx.globalAlpha = 1;
+      this.ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+      this.ctx.font = "12px Arial";
+      this.ctx.fillText(label, 10, y + 16);
+    });
+
+    // Average fold across the viewports of these page views
+    const foldY = average((report) => report.fold?.y || 0);
+    this.ctx.globalAlpha = 1;
+    this.ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+    this.ctx.setLineDash([6, 4]);
+    this.ctx.beginPath();
+    this.ctx.moveTo(0, foldY);
+    this.ctx.lineTo(width, foldY);
+    this.ctx.stroke();
+    this.ctx.setLineDash([]);
+    this.ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    this.ctx.fillText("Average fold", width - 90, foldY - 6);
+  }
+
+  /**
+   * Latest scroll summary of each page view
+   */
+  getScrollReports() {
+    const reports = new Map();
+
+    this.getSegment().forEach((point) => {
+      if (point.type === "scroll" && point.scroll?.bands) {
+        reports.set(point.scroll.id, point.scroll);
+      }
+    });
+
+    return Array.from(reports.values());
+  }
+
+  /**
+   * Render pointer movement ('move': samples) or hover dwell ('attention':
+   * time the pointer rested) from per-page pointer reports
+   */
+  renderPointerHeatmap(metric) {
+    const max = this.renderDensity(this.getDensityGrid());
+    if (!max) return;
+
+    this.legend = {
+      min: metric === "attention" ? "0s" : "0",
+      max:
+        metric === "attention"
+          ? `${(max / 1000).toFixed(1)}s`
+          : `${Math.round(max)} samples`,
+    };
+  }
+
+  getPointerPoints(metric) {
+    const grid = this.getPointerGrid(metric);
+    const points = [];
+
+    grid.cells.forEach((value, key) => {
+      const [column, row] = key.split(",").map(Number);
+      points.push({
+        x: (column + 0.5) * grid.size,
+        y: (row + 0.5) * grid.size,
+        weight: value,
+      });
     });
+    return points;
   }
 
   /**
-   * Create radial gradient for click points
+   * Sum pointer reports into a density grid of options.gridSize cells
+   * @returns {object} { size, cells: Map("column,row" -> value), max }
    */
-  createRadialGradient() {
-    const gradient = this.ctx.createRadialGradient(
-      0,
-      0,
-      0,
-      0,
-      0,
-      this.options.radius
+  getPointerGrid(metric) {
+    const size = this.options.gridSize;
+    const cells = new Map();
+
+    this.getPointerReports().forEach((report) => {
+      const values = metric === "attention" ? report.dwell : report.moves;
+      const scaleX = this.getWidthScale(report.pageWidth);
+
+      values.forEach(([column, row, value]) => {
+        // Reports may use another cell size and page width; place them by
+        // cell center
+        const x = (column + 0.5) * report.gridSize * scaleX;
+        const y = (row + 0.5) * report.gridSize;
+        const key = `${Math.floor(x / size)},${Math.floor(y / size)}`;
+        cells.set(key, (cells.get(key) || 0) + value);
+      });
+    });
+
+    return { size, cells, max: Math.max(0, ...cells.values()) };
+  }
+
+  /**
+   * Latest pointer report of each page view
+   */
+  getPointerReports() {
+    const reports = new Map();
+
+    this.getSegment().forEach((point) => {
+      if (point.type === "pointer" && point.pointer?.moves) {
+        reports.set(point.pointer.id, point.pointer);
+      }
+    });
+
+    return Array.from(reports.values());
+  }
+
+  /**
+   * Render frustration signals as rings, sized by the number of clicks
+   */
+  renderFrustrationLayer() {
+    this.getSegment().forEach((point) => {
+      const color = this.options.frustrationColors[point.type];
+      if (!color || !point.coordinates) return;
+
+      const { x, y } = this.projectClick(point);
+      const radius = Math.min(
+        this.options.radius,
+        8 + (point.clickCount || 1) * 3
+      );
+
+      this.ctx.save();
+      this.ctx.globalAlpha = 0.9;
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+      this.ctx.stroke();
+
+      // Error clicks get a cross so they stay distinct without color
+      if (point.type === "error_click") {
+        const arm = radius / 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x - arm, y - arm);
+        this.ctx.lineTo(x + arm, y + arm);
+        this.ctx.moveTo(x + arm, y - arm);
+        this.ctx.lineTo(x - arm, y + arm);
+        this.ctx.stroke();
+      }
+      this.ctx.restore();
+    });
+  }
+
+  // ===================
+  // LAYOUT
+  // ===================
+
+  /**
+   * Data recorded at the selected breakpoint
+   */
+  getSegment() {
+    if (this.options.breakpoint === "all") return this.data;
+
+    return this.data.filter(
+      (point) => this.getBreakpoint(point) === this.options.breakpoint
     );
+  }
 
-    Object.entries(this.options.gradient).forEach(([stop, color]) => {
-      gradient.addColorStop(parseFloat(stop), color);
+  /**
+   * Breakpoint a point was recorded at, from its viewport width
+   */
+  getBreakpoint(point) {
+    const width = (point.viewport || point[point.type]?.viewport)?.width;
+    if (!width) return point.breakpoint || null;
+
+    let match = null;
+    Object.entries(this.options.breakpoints).forEach(([name, minWidth]) => {
+      if (width >= minWidth && (!match || minWidth >= match.minWidth)) {
+        match = { name, minWidth };
+      }
     });
+    return match ? match.name : null;
+  }
 
-    return gradient;
+  /**
+   * Page position of a click on the current layout: on the element it hit
+   * when that element is on this page, else scaled to the page width
+   */
+  projectClick(point) {
+    const { pageX, pageY, pageWidth, offsetX, offsetY } = point.coordinates;
+
+    const box =
+      offsetX !== undefined && point.element?.selector
+        ? this.getElementBox(point.element.selector)
+        : null;
+    if (box) {
+      return {
+        x: box.left + offsetX * box.width,
+        y: box.top + offsetY * box.height,
+      };
+    }
+
+    return { x: pageX * this.getWidthScale(pageWidth), y: pageY };
   }
 
   /**
-   * Get color for intensity level
+   * Ratio of the current page width to the one a point was recorded on
    */
-  getColorForIntensity(intensity) {
-    const colors = Object.entries(this.options.gradient);
+  getWidthScale(pageWidth) {
+    const { width } = this.getLayout();
+    return pageWidth && width ? width / pageWidth : 1;
+  }
 
-    for (let i = 0; i < colors.length - 1; i++) {
-      const [stop1, color1] = colors[i];
-      const [stop2, color2] = colors[i + 1];
+  /**
+   * Current page width and element boxes, kept until the data or size changes
+   */
+  getLayout() {
+    if (!this.layout) {
+      this.layout = {
+        width: document.documentElement.scrollWidth || window.innerWidth,
+        boxes: new Map(), // selector -> box in page coordinates, or null
+      };
+    }
+    return this.layout;
+  }
 
-      if (intensity >= parseFloat(stop1) && intensity <= parseFloat(stop2)) {
-        return color2; // Simplified - could interpolate between colors
+  getElementBox(selector) {
+    const { boxes } = this.getLayout();
+    if (boxes.has(selector)) return boxes.get(selector);
+
+    let box = null;
+    try {
+      const element = document.querySelector(selector);
+
+      // The heatmap's own elements are not part of the page
+      if (element && !this.container.contains(element)) {
+        const rect = element.getBoundingClientRect();
+
+        // Elements hidden at this size fall back to the page width
+        if (rect.width && rect.height) {
+          box = {
+            left: rect.left + window.scrollX,
+            top: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+          };
+        }
       }
+    } catch (e) {
+      // Selectors from other pages may not parse here
     }
 
-    return colors[colors.length - 1][1];
+    boxes.set(selector, box);
+    return box;
   }
 
   /**
-   * Render zoom/pan controls
+   * Palette color for an intensity from 0 to 1
+   */
+  getColorForIntensity(intensity) {
+    const palette = this.getPalette();
+    const offset = Math.round(Math.max(0, Math.min(1, intensity)) * 255) * 4;
+
+    return `rgb(${palette[offset]}, ${palette[offset + 1]}, ${
+      palette[offset + 2]
+    })`;
+  }
+
+  /**
+   * Color scale of the current layer, bottom right
+   */
+  renderLegend() {
+    if (!this.options.legend || !this.legend) return;
+
+    const width = 160;
+    const x = this.canvas.width - width - 20;
+    const y = this.canvas.height - 50;
+
+    this.getPalette();
+    this.ctx.save();
+    this.ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+    this.ctx.fillRect(x - 10, y - 10, width + 20, 44);
+    this.ctx.drawImage(this.paletteCanvas, x, y, width, 10);
+    this.ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+    this.ctx.font = "11px Arial";
+    this.ctx.textAlign = "left";
+    this.ctx.fillText(this.legend.min, x, y + 26);
+    this.ctx.textAlign = "right";
+    this.ctx.fillText(this.legend.max, x + width, y + 26);
+    this.ctx.restore();
+  }
+
+  /**
+   * Render zoom/pan controls and the breakpoint switcher
    */
   renderControls() {
-    // Reset button
-    this.ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
-    this.ctx.fillRect(10, 10, 80, 30);
-    this.ctx.fillStyle = "white";
+    this.controls = [];
     this.ctx.font = "12px Arial";
-    this.ctx.fillText("Reset View", 15, 28);
+    this.ctx.textAlign = "left";
+
+    // Reset button
+    this.renderButton("Reset View", 10, 80, false, () => this.resetView());
 
     // Zoom level indicator
-    this.ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
-    this.ctx.fillRect(100, 10, 100, 30);
-    this.ctx.fillStyle = "white";
-    this.ctx.fillText(`Zoom: ${Math.round(this.scale * 100)}%`, 105, 28);
+    this.renderButton(`Zoom: ${Math.round(this.scale * 100)}%`, 100, 100);
+
+    // Breakpoint switcher
+    let x = 210;
+    ["all", ...Object.keys(this.options.breakpoints)].forEach((name) => {
+      const label = name.charAt(0).toUpperCase() + name.slice(1);
+      const width = Math.max(
+        50,
+        Math.ceil(this.ctx.measureText(label).width) + 16
+      );
+
+      this.renderButton(label, x, width, this.options.breakpoint === name, () =>
+        this.setBreakpoint(name)
+      );
+      x += width + 4;
+    });
+  }
 
-    // Add click handler for reset button
-    this.canvas.addEventListener("click", (e) => {
-      const rect = this.canvas.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
+  renderButton(label, x, width, active = false, action = null) {
+    this.ctx.fillStyle = active
+      ? "rgba(33, 150, 243, 0.9)"
+      : "rgba(0, 0, 0, 0.7)";
+    this.ctx.fillRect(x, 10, width, 30);
+    this.ctx.fillStyle = "white";
+    this.ctx.fillText(label, x + 5, 28);
 
-      if (x >= 10 && x <= 90 && y >= 10 && y <= 40) {
-        this.resetView();
-      }
-    });
+    if (action) this.controls.push({ x, y: 10, width, height: 30, action });
   }
 
   /**
@@ -354,24 +959,205 @@ class HeatmapRenderer {
    */
   updateData(newData) {
     this.data = newData;
+    this.layout = null;
+    this.grid = null;
     this.render();
   }
 
+  /**
+   * Take a point added to the data: the grid is rebuilt on the next frame
+   * however many points arrive before it, and element boxes are kept
+   */
+  addPoint(data, point) {
+    if (data !== this.data) {
+      this.updateData(data);
+      return;
+    }
+
+    if (this.affectsGrid(point)) this.grid = null;
+    this.scheduleRender();
+  }
+
+  /**
+   * Whether a point is binned into the grid of the current type and segment
+   */
+  affectsGrid(point) {
+    const { type, breakpoint } = this.options;
+    if (breakpoint !== "all" && this.getBreakpoint(point) !== breakpoint) {
+      return false;
+    }
+
+    if (type === "click") return point.type === "click";
+    if (type === "move" || type === "attention") {
+      return point.type === "pointer";
+    }
+    return false;
+  }
+
   /**
    * Change heatmap type
    */
   setType(type) {
     this.options.type = type;
+    this.grid = null;
     this.render();
   }
 
+  /**
+   * Color the scroll heatmap by 'reach' or 'time'
+   */
+  setScrollMetric(metric) {
+    this.options.scrollMetric = metric;
+    this.render();
+  }
+
+  /**
+   * Show data from one breakpoint, or 'all'
+   */
+  setBreakpoint(breakpoint) {
+    this.options.breakpoint = breakpoint;
+    this.grid = null;
+    this.render();
+  }
+
+  /**
+   * Opacity of the density layer, 0 to 1
+   */
+  setOpacity(opacity) {
+    this.options.opacity = Math.max(0, Math.min(1, opacity));
+    this.render();
+  }
+
+  /**
+   * Replace the color stops, e.g. { 0: "white", 1: "purple" }
+   */
+  setGradient(gradient) {
+    this.options.gradient = gradient;
+    this.palette = null;
+    this.render();
+  }
+
+  /**
+   * Show or hide the frustration signal layer
+   */
+  setFrustrationLayer(visible) {
+    this.options.frustrationLayer = visible;
+    this.render();
+  }
+
+  // ===================
+  // BENCHMARK
+  // ===================
+
+  /**
+   * Keep the time of a frame and show the running stats
+   */
+  recordFrame(start) {
+    if (this.gl) this.gl.finish();
+    this.frameTimes.push(performance.now() - start);
+    if (this.frameTimes.length > 120) this.frameTimes.shift();
+
+    const stats = this.getBenchmark();
+    const label = `${stats.renderer}: ${stats.average}ms avg, ${stats.p95}ms p95, ${stats.points} points in ${stats.cells} cells`;
+
+    this.ctx.save();
+    this.ctx.font = "11px Arial";
+    this.ctx.textAlign = "left";
+    this.ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    this.ctx.fillRect(
+      10,
+      this.canvas.height - 34,
+      this.ctx.measureText(label).width + 10,
+      24
+    );
+    this.ctx.fillStyle = "white";
+    this.ctx.fillText(label, 15, this.canvas.height - 18);
+    this.ctx.restore();
+  }
+
+  /**
+   * Frame time stats of the last 120 benchmarked frames
+   * @returns {object} { renderer, frames, average, p95, max, points, cells }
+   */
+  getBenchmark() {
+    const times = [...this.frameTimes].sort((a, b) => a - b);
+    const round = (ms) => Math.round(ms * 100) / 100;
+    const level =
+      this.grid && this.grid.count
+        ? this.grid.getLevel(
+            this.grid.pickLevel(this.scale, this.options.minCellSize)
+          )
+        : null;
+
+    return {
+      renderer: this.gl ? "webgl" : "canvas",
+      frames: times.length,
+      average: times.length
+        ? round(times.reduce((sum, time) => sum + time, 0) / times.length)
+        : 0,
+      p95: times.length
+        ? round(
+            times[Math.min(times.length - 1, Math.floor(times.length * 0.95))]
+          )
+        : 0,
+      max: times.length ? round(times[times.length - 1]) : 0,
+      points: this.grid ? this.grid.count : 0,
+      cells: level ? level.count : 0,
+    };
+  }
+
+  /**
+   * Zoom from 0.25x to 4x and back while panning, one animation frame at
+   * a time, then restore the view
+   * @param {number} frames - Frames to render
+   * @returns {Promise<object>} Stats as from getBenchmark()
+   */
+  async runBenchmark(frames = 120) {
+    const view = {
+      scale: this.scale,
+      panX: this.panX,
+      panY: this.panY,
+      benchmark: this.options.benchmark,
+    };
+    this.frameTimes = [];
+    this.options.benchmark = true;
+
+    for (let i = 0; i < frames; i++) {
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+
+      // 0.25x to 4x and back while drifting a screen to the right
+      const progress = i / frames;
+      this.scale = 0.25 * 16 ** Math.sin(Math.PI * progress);
+      this.panX = -progress * this.canvas.width;
+      this.panY = 0;
+      this.render();
+    }
+
+    const stats = this.getBenchmark();
+    this.scale = view.scale;
+    this.panX = view.panX;
+    this.panY = view.panY;
+    this.options.benchmark = view.benchmark;
+    this.render();
+    return stats;
+  }
+
   /**
    * Destroy heatmap
    */
   destroy() {
-    if (this.canvas && this.canvas.parentNode) {
-      this.canvas.parentNode.removeChild(this.canvas);
-    }
+    window.removeEventListener("resize", this.handleResize);
+    document.removeEventListener("mousemove", this.handlePanMove);
+    document.removeEventListener("mouseup", this.handlePanEnd);
+
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    if (this.gl) this.gl.destroy();
+    this.gl = null;
+    [this.glCanvas, this.canvas].forEach((canvas) => {
+      if (canvas && canvas.parentNode) canvas.parentNode.removeChild(canvas);
+    });
+    this.glCanvas = null;
   }
 }
 
@@ -380,6 +1166,7 @@ class HeatmapManager {
   constructor() {
     this.heatmaps = new Map();
     this.data = [];
+    this.summaries = new Map(); // "type:id" -> index in data
   }
 
   /**
@@ -413,11 +1200,46 @@ class HeatmapManager {
    */
   updateAllHeatmaps(data) {
     this.data = data;
+    this.summaries = new Map();
+    data.forEach((point, index) => {
+      const key = this.getSummaryKey(point);
+      if (key) this.summaries.set(key, index);
+    });
     this.heatmaps.forEach((heatmap) => {
       heatmap.updateData(data);
     });
   }
 
+  /**
+   * Add a single tracked point and refresh live heatmaps
+   */
+  addData(point) {
+    // Scroll and pointer summaries are re-sent as a page view goes on; keep
+    // the latest
+    const key = this.getSummaryKey(point);
+    const index = key ? this.summaries.get(key) : undefined;
+
+    if (index !== undefined) {
+      this.data[index] = point;
+    } else {
+      if (key) this.summaries.set(key, this.data.length);
+      this.data.push(point);
+    }
+    this.heatmaps.forEach((heatmap) => {
+      heatmap.addPoint(this.data, point);
+    });
+  }
+
+  /**
+   * Key of a scroll or pointer summary, or null for other points
+   */
+  getSummaryKey(point) {
+    if (point.type !== "scroll" && point.type !== "pointer") return null;
+
+    const id = point[point.type]?.id;
+    return id ? `${point.type}:${id}` : null;
+  }
+
   /**
    * Get heatmap instance
    */
@@ -0,0 +1,407 @@
+/**
+ * StandLog Analytics - WebGL Heatmap Module
+ * Draws density grid cells into an accumulation texture on the GPU and
+ * colors it through the heatmap palette
+ */
+
+class WebGLDensityRenderer {
+  // One quad per cell; the corner is a unit offset scaled by the radius
+  static ACCUMULATE_VERTEX = `
+    attribute vec2 a_center;
+    attribute vec2 a_corner;
+    attribute float a_weight;
+    uniform vec2 u_resolution;
+    uniform vec2 u_pan;
+    uniform float u_scale;
+    uniform float u_radius;
+    uniform float u_blur;
+    uniform float u_max;
+    uniform float u_minOpacity;
+    varying vec2 v_offset;
+    varying float v_sharpness;
+    varying float v_alpha;
+
+    void main() {
+      v_offset = a_corner;
+      v_sharpness = u_radius / max(u_blur, 0.0001);
+      v_alpha = clamp(max(u_minOpacity, a_weight / u_max), 0.0, 1.0);
+      vec2 position = a_center * u_scale + u_pan + a_corner * u_radius;
+      vec2 clip = position / u_resolution * 2.0 - 1.0;
+      gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    }
+  `;
+
+  // Same kernel as the Canvas2D stamp: opaque core, linear fade over blur
+  // px. Offsets are in radii, and no uniform is shared with the vertex
+  // shader, whose default precision differs
+  static ACCUMULATE_FRAGMENT = `
+    precision mediump float;
+    varying vec2 v_offset;
+    varying float v_sharpness;
+    varying float v_alpha;
+
+    void main() {
+      float fade = (1.0 - length(v_offset)) * v_sharpness;
+      gl_FragColor = vec4(0.0, 0.0, 0.0, clamp(fade, 0.0, 1.0) * v_alpha);
+    }
+  `;
+
+  static COLORIZE_VERTEX = `
+    attribute vec2 a_position;
+    varying vec2 v_uv;
+
+    void main() {
+      v_uv = a_position * 0.5 + 0.5;
+      gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+  `;
+
+  static COLORIZE_FRAGMENT = `
+    precision mediump float;
+    uniform sampler2D u_density;
+    uniform sampler2D u_palette;
+    uniform float u_opacity;
+    varying vec2 v_uv;
+
+    void main() {
+      float alpha = texture2D(u_density, v_uv).a;
+      float entry = floor(alpha * 255.0 + 0.5);
+      vec3 color = texture2D(u_palette, vec2((entry + 0.5) / 256.0, 0.5)).rgb;
+      gl_FragColor = vec4(color, alpha * u_opacity);
+    }
+  `;
+
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on, sized by the caller
+   * @param {object} config - { onContextLost }
+   */
+  constructor(canvas, config = {}) {
+    this.config = {
+      onContextLost: null, // () => void, the renderer is unusable afterwards
+      ...config,
+    };
+
+    this.canvas = canvas;
+    this.gl = canvas.getContext("webgl", {
+      premultipliedAlpha: false,
+      antialias: false,
+    });
+    if (!this.gl) throw new Error("WebGL is not available");
+
+    this.level = null; // Grid level in the vertex buffer
+    this.vertexCount = 0;
+    this.palette = null; // Palette in the palette texture
+    this.size = { width: 0, height: 0 }; // Of the accumulation texture
+    this.lost = false;
+
+    this.handleContextLost = (e) => {
+      e.preventDefault();
+      this.lost = true;
+      if (!this.config.onContextLost) return;
+
+      try {
+        this.config.onContextLost();
+      } catch (error) {
+        console.error("StandLog: Failed to handle lost WebGL context", error);
+      }
+    };
+    canvas.addEventListener("webglcontextlost", this.handleContextLost);
+
+    this.setup();
+  }
+
+  setup() {
+    const gl = this.gl;
+
+    this.accumulate = this.createProgram(
+      WebGLDensityRenderer.ACCUMULATE_VERTEX,
+      WebGLDensityRenderer.ACCUMULATE_FRAGMENT
+    );
+    this.colorize = this.createProgram(
+      WebGLDensityRenderer.COLORIZE_VERTEX,
+      WebGLDensityRenderer.COLORIZE_FRAGMENT
+    );
+
+    this.cellBuffer = gl.createBuffer();
+
+    // Two triangles covering the canvas
+    this.quadBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.bufferData(
+      gl.ARRAY_BUFFER,
+      new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]),
+      gl.STATIC_DRAW
+    );
+
+    this.densityTexture = this.createTexture();
+    this.paletteTexture = this.createTexture();
+    this.framebuffer = gl.createFramebuffer();
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const program = gl.createProgram();
+
+    [
+      [gl.VERTEX_SHADER, vertexSource],
+      [gl.FRAGMENT_SHADER, fragmentSource],
+    ].forEach(([type, source]) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+      }
+      gl.attachShader(program, shader);
+    });
+
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program));
+    }
+
+    // Attribute and uniform locations by name
+    const locations = {};
+    const count = (parameter) => gl.getProgramParameter(program, parameter);
+    for (let i = 0; i < count(gl.ACTIVE_ATTRIBUTES); i++) {
+      const { name } = gl.getActiveAttrib(program, i);
+      locations[name] = gl.getAttribLocation(program, name);
+    }
+    for (let i = 0; i < count(gl.ACTIVE_UNIFORMS); i++) {
+      const { name } = gl.getActiveUniform(program, i);
+      locations[name] = gl.getUniformLocation(program, name);
+    }
+
+    return { program, locations };
+  }
+
+  createTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+
+    // Canvas-sized textures are rarely a power of two
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    return texture;
+  }
+
+  /**
+   * Draw a grid level as a colored density layer
+   * @param {object} view - { level, radius, blur, max, minOpacity, opacity,
+   *   palette, scale, panX, panY } in screen px
+   */
+  draw(view) {
+    if (this.lost) return;
+
+    const gl = this.gl;
+    const { width, height } = this.canvas;
+    this.resize(width, height);
+    this.upload(view.level);
+    this.setPalette(view.palette);
+
+    // Accumulate: cells composited like Canvas2D source-over, so both
+    // renderers agree
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    const { program, locations } = this.accumulate;
+    gl.useProgram(program);
+    gl.uniform2f(locations.u_resolution, width, height);
+    gl.uniform2f(locations.u_pan, view.panX, view.panY);
+    gl.uniform1f(locations.u_scale, view.scale);
+    gl.uniform1f(locations.u_radius, view.radius);
+    gl.uniform1f(locations.u_blur, view.blur);
+    gl.uniform1f(locations.u_max, view.max);
+    gl.uniform1f(locations.u_minOpacity, view.minOpacity);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
+    const stride = 5 * 4;
+    [
+      ["a_center", 2, 0],
+      ["a_corner", 2, 2 * 4],
+      ["a_weight", 1, 4 * 4],
+    ].forEach(([name, size, offset]) => {
+      gl.enableVertexAttribArray(locations[name]);
+      gl.vertexAttribPointer(
+        locations[name],
+        size,
+        gl.FLOAT,
+        false,
+        stride,
+        offset
+      );
+    });
+    gl.drawArrays(gl.TRIANGLES, 0, this.vertexCount);
+    ["a_center", "a_corner", "a_weight"].forEach((name) => {
+      gl.disableVertexAttribArray(locations[name]);
+    });
+
+    // Colorize onto the canvas
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, width, height);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.disable(gl.BLEND);
+
+    const colorize = this.colorize;
+    gl.useProgram(colorize.program);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.densityTexture);
+    gl.uniform1i(colorize.locations.u_density, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+    gl.uniform1i(colorize.locations.u_palette, 1);
+    gl.uniform1f(colorize.locations.u_opacity, view.opacity);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+    gl.enableVertexAttribArray(colorize.locations.a_position);
+    gl.vertexAttribPointer(
+      colorize.locations.a_position,
+      2,
+      gl.FLOAT,
+      false,
+      0,
+      0
+    );
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+    gl.disableVertexAttribArray(colorize.locations.a_position);
+  }
+
+  /**
+   * Resize the accumulation texture to the canvas
+   */
+  resize(width, height) {
+    if (this.size.width === width && this.size.height === height) return;
+
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.densityTexture);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      width,
+      height,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      null
+    );
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    gl.framebufferTexture2D(
+      gl.FRAMEBUFFER,
+      gl.COLOR_ATTACHMENT0,
+      gl.TEXTURE_2D,
+      this.densityTexture,
+      0
+    );
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.size = { width, height };
+  }
+
+  /**
+   * Vertices of a grid level; kept on the GPU until the level changes, so
+   * panning and zooming only change uniforms
+   */
+  upload(level) {
+    if (this.level === level) return;
+
+    const corners = [-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1];
+    const vertices = new Float32Array(level.count * 6 * 5);
+
+    let offset = 0;
+    for (let i = 0; i < level.count; i++) {
+      for (let corner = 0; corner < 12; corner += 2) {
+        vertices[offset++] = level.x[i];
+        vertices[offset++] = level.y[i];
+        vertices[offset++] = corners[corner];
+        vertices[offset++] = corners[corner + 1];
+        vertices[offset++] = level.weight[i];
+      }
+    }
+
+    const gl = this.gl;
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+
+    this.level = level;
+    this.vertexCount = level.count * 6;
+  }
+
+  /**
+   * @param {Uint8ClampedArray} palette - 256 RGBA entries
+   */
+  setPalette(palette) {
+    if (this.palette === palette) return;
+
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.paletteTexture);
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      256,
+      1,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      new Uint8Array(palette.buffer, palette.byteOffset, 256 * 4)
+    );
+
+    this.palette = palette;
+  }
+
+  clear() {
+    if (this.lost) return;
+
+    this.gl.clearColor(0, 0, 0, 0);
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+  }
+
+  /**
+   * Wait for the GPU, so frame times include the drawing
+   */
+  finish() {
+    if (this.lost) return;
+
+    // readPixels blocks until queued commands are done; finish() may not
+    this.gl.readPixels(
+      0,
+      0,
+      1,
+      1,
+      this.gl.RGBA,
+      this.gl.UNSIGNED_BYTE,
+      new Uint8Array(4)
+    );
+  }
+
+  destroy() {
+    this.canvas.removeEventListener("webglcontextlost", this.handleContextLost);
+    if (this.lost) return;
+
+    const gl = this.gl;
+    gl.deleteBuffer(this.cellBuffer);
+    gl.deleteBuffer(this.quadBuffer);
+    gl.deleteTexture(this.densityTexture);
+    gl.deleteTexture(this.paletteTexture);
+    gl.deleteFramebuffer(this.framebuffer);
+    gl.deleteProgram(this.accumulate.program);
+    gl.deleteProgram(this.colorize.program);
+    this.level = null;
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WebGLDensityRenderer;
+} else {
+  window.WebGLDensityRenderer = WebGLDensityRenderer;
+}
@@ -0,0 +1,295 @@
+/**
+ * StandLog Analytics - Performance Module
+ * Core Web Vitals, navigation timing and slow resources per page
+ */
+
+class PerformanceTracker {
+  // [good, poor] boundaries; values in between need improvement
+  static THRESHOLDS = {
+    lcp: [2500, 4000],
+    cls: [0.1, 0.25],
+    inp: [200, 500],
+    fcp: [1800, 3000],
+    ttfb: [800, 1800],
+  };
+
+  constructor(config = {}) {
+    this.config = {
+      trackResources: true,
+      slowResourceThreshold: 1000, // ms
+      maxSlowResources: 10,
+      ignoreResources: [], // URL prefixes or RegExps, e.g. the tracker's API
+      onReport: null, // (report) => void
+      ...config,
+    };
+
+    this.page = null;
+    this.observers = [];
+    this.started = false;
+
+    this.handleRouteChange = (e) => {
+      this.flush("route");
+      this.reset(e.detail.url, "route");
+    };
+  }
+
+  /**
+   * Start observing the current page
+   */
+  start() {
+    if (this.started || typeof PerformanceObserver === "undefined") return;
+    this.started = true;
+
+    this.reset(window.location.href, "navigation");
+
+    this.observe("paint", (entry) => {
+      if (entry.name === "first-contentful-paint") {
+        this.setMetric("fcp", entry.startTime, true);
+      }
+    });
+    this.observe("largest-contentful-paint", (entry) => {
+      this.setMetric("lcp", entry.startTime, true);
+    });
+    this.observe("layout-shift", (entry) => this.addLayoutShift(entry));
+    this.observe("event", (entry) => this.addInteraction(entry), {
+      durationThreshold: 40,
+    });
+    this.observe("first-input", (entry) => this.addInteraction(entry));
+
+    if (this.config.trackResources) {
+      this.observe("resource", (entry) => this.addResource(entry));
+    }
+
+    window.addEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    this.observers.forEach((observer) => observer.disconnect());
+    this.observers = [];
+
+    window.removeEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  observe(type, callback, options = {}) {
+    try {
+      const observer = new PerformanceObserver((list) => {
+        list.getEntries().forEach(callback);
+      });
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  }
+
+  /**
+   * Begin measuring a page; route changes only get CLS, INP and resources
+   */
+  reset(url, navigationType) {
+    this.page = {
+      id: `perf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      url,
+      navigationType,
+      // Buffered entries from before start() still belong to the first page
+      startTime: navigationType === "navigation" ? 0 : performance.now(),
+      metrics: {},
+      shiftWindow: { value: 0, first: 0, last: 0 },
+      interactions: [], // Longest interactions, { id, duration }
+      interactionCount: 0,
+      slowResources: [],
+      dirty: false,
+    };
+
+    if (navigationType === "navigation") {
+      const navigation = performance.getEntriesByType?.("navigation")[0];
+      if (navigation) {
+        this.setMetric("ttfb", navigation.responseStart, true);
+      }
+    }
+  }
+
+  setMetric(name, value, initialLoadOnly = false) {
+    if (initialLoadOnly && this.page.navigationType !== "navigation") return;
+
+    this.page.metrics[name] = value;
+    this.page.dirty = true;
+  }
+
+  /**
+   * CLS is the largest burst of shifts (gaps under 1s, at most 5s long)
+   */
+  addLayoutShift(entry) {
+    if (entry.hadRecentInput || entry.startTime < this.page.startTime) return;
+
+    const shiftWindow = this.page.shiftWindow;
+    if (
+      shiftWindow.value > 0 &&
+      entry.startTime - shiftWindow.last < 1000 &&
+      entry.startTime - shiftWindow.first < 5000
+    ) {
+      shiftWindow.value += entry.value;
+      shiftWindow.last = entry.startTime;
+    } else {
+      shiftWindow.value = entry.value;
+      shiftWindow.first = entry.startTime;
+      shiftWindow.last = entry.startTime;
+    }
+
+    this.setMetric(
+      "cls",
+      Math.max(this.page.metrics.cls || 0, shiftWindow.value)
+    );
+  }
+
+  /**
+   * INP is roughly the 98th percentile interaction: the longest one,
+   * skipping one for every 50 interactions
+   */
+  addInteraction(entry) {
+    if (!entry.interactionId || entry.startTime < this.page.startTime) return;
+
+    const interactions = this.page.interactions;
+    const existing = interactions.find((i) => i.id === entry.interactionId);
+
+    if (existing) {
+      existing.duration = Math.max(existing.duration, entry.duration);
+    } else {
+      this.page.interactionCount++;
+      interactions.push({ id: entry.interactionId, duration: entry.duration });
+    }
+
+    interactions.sort((a, b) => b.duration - a.duration);
+    interactions.splice(10);
+
+    const index = Math.min(
+      interactions.length - 1,
+      Math.floor(this.page.interactionCount / 50)
+    );
+    this.setMetric("inp", interactions[index].duration);
+  }
+
+  addResource(entry) {
+    if (
+      entry.duration < this.config.slowResourceThreshold ||
+      entry.startTime < this.page.startTime ||
+      this.isIgnoredResource(entry.name)
+    ) {
+      return;
+    }
+
+    const resources = this.page.slowResources;
+    resources.push({
+      url: entry.name.split(/[?#]/)[0],
+      initiatorType: entry.initiatorType,
+      duration: Math.round(entry.duration),
+      transferSize: entry.transferSize || 0,
+    });
+    resources.sort((a, b) => b.duration - a.duration);
+    resources.splice(this.config.maxSlowResources);
+    this.page.dirty = true;
+  }
+
+  isIgnoredResource(url) {
+    return this.config.ignoreResources.some((pattern) =>
+      pattern instanceof RegExp ? pattern.test(url) : url.startsWith(pattern)
+    );
+  }
+
+  /**
+   * Report the current page if anything changed since the last report
+   * @param {string} reason - 'hidden', 'route', 'pagehide' or 'manual'
+   */
+  flush(reason = "manual") {
+    if (!this.page || !this.page.dirty) return null;
+    this.page.dirty = false;
+
+    const report = this.getReport(reason);
+
+    if (this.config.onReport) {
+      try {
+        this.config.onReport(report);
+      } catch (error) {
+        console.error("StandLog: Failed to report performance", error);
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Snapshot of the current page's measurements
+   */
+  getReport(reason = "manual") {
+    const page = this.page;
+    const metrics = {};
+
+    Object.entries(page.metrics).forEach(([name, value]) => {
+      const rounded =
+        name === "cls" ? Math.round(value * 10000) / 10000 : Math.round(value);
+      metrics[name] = {
+        value: rounded,
+        rating: PerformanceTracker.rate(name, rounded),
+      };
+    });
+
+    return {
+      id: page.id,
+      url: page.url,
+      navigationType: page.navigationType,
+      reason,
+      metrics,
+      navigation:
+        page.navigationType === "navigation"
+          ? this.getNavigationTiming()
+          : null,
+      slowResources: [...page.slowResources],
+    };
+  }
+
+  /**
+   * Phase durations from the Navigation Timing API, in ms
+   */
+  getNavigationTiming() {
+    const entry = performance.getEntriesByType?.("navigation")[0];
+    if (!entry) return null;
+
+    const span = (start, end) =>
+      end > 0 && start >= 0 ? Math.round(end - start) : null;
+
+    return {
+      type: entry.type,
+      redirect: span(entry.redirectStart, entry.redirectEnd),
+      dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+      connect: span(entry.connectStart, entry.connectEnd),
+      tls: entry.secureConnectionStart
+        ? span(entry.secureConnectionStart, entry.connectEnd)
+        : null,
+      request: span(entry.requestStart, entry.responseStart),
+      response: span(entry.responseStart, entry.responseEnd),
+      domInteractive: span(0, entry.domInteractive),
+      domContentLoaded: span(0, entry.domContentLoadedEventEnd),
+      load: span(0, entry.loadEventEnd),
+      transferSize: entry.transferSize || 0,
+    };
+  }
+
+  /**
+   * Rate a value as 'good', 'needs-improvement' or 'poor'
+   */
+  static rate(name, value) {
+    const thresholds = PerformanceTracker.THRESHOLDS[name];
+    if (!thresholds) return null;
+    if (value <= thresholds[0]) return "good";
+    if (value <= thresholds[1]) return "needs-improvement";
+    return "poor";
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PerformanceTracker;
+} else {
+  window.PerformanceTracker = PerformanceTracker;
+}
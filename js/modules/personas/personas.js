@@ -127,6 +127,22 @@ class PersonaAnalyzer {
       ],
       color: "#9C27B0",
     });
+
+    // Paid Social
+    this.definePersona("paid_social", {
+      name: "Paid Social",
+      description: "Users who came from paid social campaigns",
+      rules: [
+        { metric: "channel", operator: "=", value: "paid", timeframe: "all" },
+        {
+          metric: "paidNetwork",
+          operator: "=",
+          value: "social",
+          timeframe: "all",
+        },
+      ],
+      color: "#E91E63",
+    });
   }
 
   /**
@@ -188,6 +204,93 @@ class PersonaAnalyzer {
     this.analyzeUserPersona(user);
   }
 
+  /**
+   * Set user attributes (e.g. traits from identify) for persona rules
+   */
+  setUserAttributes(userId, attributes = {}) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, this.createUserProfile(userId));
+    }
+
+    const user = this.users.get(userId);
+    user.attributes = { ...user.attributes, ...attributes };
+
+    this.analyzeUserPersona(user);
+  }
+
+  /**
+   * Move a profile to a new user ID, merging it if both exist
+   */
+  aliasUser(previousId, userId) {
+    const previous = this.users.get(previousId);
+    if (!previous || previousId === userId) return;
+
+    // Leave segments before the profile changes identity
+    previous.personas.forEach((p) => {
+      this.segments.get(p.id)?.users.delete(previousId);
+    });
+    this.users.delete(previousId);
+
+    const existing = this.users.get(userId);
+    const user = existing
+      ? this.mergeUserProfiles(existing, previous)
+      : { ...previous, id: userId, personas: [] };
+
+    this.users.set(userId, user);
+    this.analyzeUserPersona(user);
+  }
+
+  /**
+   * Combine two profiles of the same person
+   */
+  mergeUserProfiles(target, source) {
+    const sumCounts = (a, b) => {
+      const result = { ...a };
+      Object.entries(b).forEach(([key, count]) => {
+        result[key] = (result[key] || 0) + count;
+      });
+      return result;
+    };
+
+    Object.entries(source.metrics).forEach(([key, value]) => {
+      target.metrics[key] =
+        typeof value === "number"
+          ? target.metrics[key] + value
+          : sumCounts(target.metrics[key], value);
+    });
+
+    // Only one in-progress session survives; the other counts as finished
+    const sourceSessions =
+      source.currentSession && target.currentSession
+        ? [...source.sessions, source.currentSession]
+        : source.sessions;
+
+    target.sessions = [...sourceSessions, ...target.sessions].sort(
+      (a, b) => a.startTime - b.startTime
+    );
+    target.firstSeen = Math.min(target.firstSeen, source.firstSeen);
+    target.lastSeen = Math.max(target.lastSeen, source.lastSeen);
+    target.attributes = { ...source.attributes, ...target.attributes };
+
+    // Channel counts were summed with the metrics, keep the outer touches
+    const touches = [
+      target.firstTouch,
+      target.lastTouch,
+      source.firstTouch,
+      source.lastTouch,
+    ]
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    target.firstTouch = touches[0] || null;
+    target.lastTouch = touches[touches.length - 1] || null;
+
+    if (!target.currentSession) {
+      target.currentSession = source.currentSession;
+    }
+
+    return target;
+  }
+
   /**
    * Create new user profile
    */
@@ -204,13 +307,19 @@ class PersonaAnalyzer {
         totalPageViews: 0,
         totalDuration: 0,
         totalClicks: 0,
+        rageClicks: 0,
+        deadClicks: 0,
+        errorClicks: 0,
         conversionEvents: 0,
         deviceTypes: {},
         browsers: {},
         locations: {},
         referrers: {},
+        channels: {}, // Sessions per attribution channel
         pages: {},
       },
+      firstTouch: null,
+      lastTouch: null,
       attributes: {},
     };
   }
@@ -243,6 +352,21 @@ class PersonaAnalyzer {
         session.clicks++;
         break;
 
+      case "rage_click":
+        user.metrics.rageClicks++;
+        session.rageClicks++;
+        break;
+
+      case "dead_click":
+        user.metrics.deadClicks++;
+        session.deadClicks++;
+        break;
+
+      case "error_click":
+        user.metrics.errorClicks++;
+        session.errorClicks++;
+        break;
+
       case "custom":
         if (event.name && event.name.includes("conversion")) {
           user.metrics.conversionEvents++;
@@ -253,6 +377,10 @@ class PersonaAnalyzer {
       case "form_submit":
         session.formSubmissions++;
         break;
+
+      case "session_start":
+        this.updateAttribution(user, event.attribution);
+        break;
     }
 
     // Update device/browser info
@@ -272,6 +400,9 @@ class PersonaAnalyzer {
    * Check if event represents a new session
    */
   isNewSession(currentSession, event) {
+    // Trackers with session management mark the boundary themselves
+    if (event.type === "session_start") return true;
+
     const SESSION_TIMEOUT = 1800000; // 30 minutes
     return event.timestamp - currentSession.lastActivity > SESSION_TIMEOUT;
   }
@@ -293,12 +424,16 @@ class PersonaAnalyzer {
       duration: 0,
       pageViews: 0,
       clicks: 0,
+      rageClicks: 0,
+      deadClicks: 0,
+      errorClicks: 0,
       conversions: 0,
       formSubmissions: 0,
       events: [],
       entryPage: event.page?.url || event.url,
       device: event.device,
       referrer: event.page?.referrer,
+      attribution: event.attribution || null,
     };
 
     user.metrics.totalSessions++;
@@ -320,15 +455,34 @@ class PersonaAnalyzer {
     }
   }
 
+  /**
+   * Record the touch a session came from
+   */
+  updateAttribution(user, touch) {
+    if (!touch) return;
+
+    user.metrics.channels[touch.channel] =
+      (user.metrics.channels[touch.channel] || 0) + 1;
+    if (!user.firstTouch || touch.timestamp < user.firstTouch.timestamp) {
+      user.firstTouch = touch;
+    }
+    if (!user.lastTouch || touch.timestamp >= user.lastTouch.timestamp) {
+      user.lastTouch = touch;
+    }
+  }
+
   /**
    * Update device-related metrics
    */
   updateDeviceMetrics(user, device) {
-    const deviceType = this.getDeviceType(device.userAgent);
+    // Trackers may send a pre-classified device instead of the raw user agent
+    const userAgent = device.userAgent || navigator.userAgent;
+
+    const deviceType = device.type || this.getDeviceType(userAgent);
     user.metrics.deviceTypes[deviceType] =
       (user.metrics.deviceTypes[deviceType] || 0) + 1;
 
-    const browser = this.getBrowser(device.userAgent);
+    const browser = device.browser || this.getBrowser(userAgent);
     user.metrics.browsers[browser] = (user.metrics.browsers[browser] || 0) + 1;
   }
 
@@ -425,6 +579,16 @@ class PersonaAnalyzer {
           ? session?.clicks || 0
           : user.metrics.totalClicks;
 
+      case "rageClicks":
+      case "deadClicks":
+      case "errorClicks":
+        return timeframe === "session"
+          ? session?.[metric] || 0
+          : user.metrics[metric];
+
+      case "frustrationRate":
+        return this.getFrustrationRate(user, timeframe);
+
       case "conversionEvents":
         return timeframe === "session"
           ? session?.conversions || 0
@@ -439,7 +603,28 @@ class PersonaAnalyzer {
       case "funnelCompletion":
         return session?.conversions > 0;
 
+      // Session timeframe: the current session's touch; otherwise the last
+      case "channel":
+      case "paidNetwork":
+      case "source":
+      case "campaign": {
+        const touch =
+          timeframe === "session" ? session?.attribution : user.lastTouch;
+        const key = metric === "paidNetwork" ? "network" : metric;
+        return touch?.[key] ?? null;
+      }
+
+      case "firstTouchChannel":
+        return user.firstTouch?.channel ?? null;
+
+      case "lastTouchChannel":
+        return user.lastTouch?.channel ?? null;
+
       default:
+        // User attributes, e.g. { metric: "attributes.plan", value: "pro" }
+        if (metric.startsWith("attributes.")) {
+          return user.attributes[metric.slice("attributes.".length)];
+        }
         return 0;
     }
   }
@@ -459,7 +644,11 @@ class PersonaAnalyzer {
       let ruleScore = 0;
 
       if (rule.operator === ">" && userValue > ruleValue) {
-        ruleScore = Math.min(1, userValue / (ruleValue * 2));
+        // Non-numeric attributes (e.g. ISO dates) either match or don't
+        ruleScore =
+          typeof userValue === "number"
+            ? Math.min(1, userValue / (ruleValue * 2))
+            : 1;
       } else if (rule.operator === "=" && userValue === ruleValue) {
         ruleScore = 1;
       }
@@ -499,6 +688,22 @@ class PersonaAnalyzer {
     return totalSessions > 0 ? mobileCount / totalSessions : 0;
   }
 
+  /**
+   * Share of clicks that were rage, dead or error clicks
+   */
+  getFrustrationRate(user, timeframe = "all") {
+    const source =
+      timeframe === "session" ? user.currentSession || {} : user.metrics;
+    const clicks = timeframe === "session" ? source.clicks : source.totalClicks;
+    if (!clicks) return 0;
+
+    const frustrated =
+      (source.rageClicks || 0) +
+      (source.deadClicks || 0) +
+      (source.errorClicks || 0);
+    return frustrated / clicks;
+  }
+
   /**
    * Get device type from user agent
    */
@@ -522,6 +727,19 @@ class PersonaAnalyzer {
     return "Other";
   }
 
+  /**
+   * Get personas currently assigned to a user
+   */
+  getUserPersonas(userId) {
+    const user = this.users.get(userId);
+    if (!user) return [];
+
+    return user.personas.map((assignment) => ({
+      ...assignment,
+      ...this.config.personas.find((persona) => persona.id === assignment.id),
+    }));
+  }
+
   /**
    * Update persona metrics
    */
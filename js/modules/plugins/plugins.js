@@ -0,0 +1,209 @@
+/**
+ * StandLog Analytics - Plugins Module
+ * Ordered lifecycle hooks for enrichment, filtering and forwarding plugins
+ */
+
+class PluginManager {
+  static HOOKS = [
+    "beforeEvent", // (event) => event | null/false to drop; synchronous
+    "afterEvent", // (event)
+    "beforeSend", // (events, batch) => events | null/false to drop the batch
+    "onSendError", // (error, batch)
+    "onSessionStart", // (session)
+  ];
+
+  constructor(tracker) {
+    this.tracker = tracker;
+    this.plugins = [];
+    this.sequence = 0; // Keeps registration order stable for equal priorities
+  }
+
+  /**
+   * Register a plugin
+   * @param {object} plugin - { name, order, enabled, setup, teardown, ...hooks }
+   * @param {object} options - Overrides for order and enabled
+   */
+  register(plugin, options = {}) {
+    if (!plugin || !plugin.name) {
+      console.error("StandLog: Plugins need a name");
+      return false;
+    }
+
+    if (this.get(plugin.name)) {
+      console.error(`StandLog: Plugin ${plugin.name} is already registered`);
+      return false;
+    }
+
+    this.plugins.push({
+      name: plugin.name,
+      plugin,
+      order: options.order ?? plugin.order ?? 0,
+      enabled: options.enabled ?? plugin.enabled ?? true,
+      sequence: this.sequence++,
+    });
+    this.plugins.sort((a, b) => a.order - b.order || a.sequence - b.sequence);
+
+    if (plugin.setup) {
+      try {
+        plugin.setup(this.tracker);
+      } catch (error) {
+        console.error(`StandLog: Plugin ${plugin.name} setup failed`, error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a plugin
+   */
+  unregister(name) {
+    const entry = this.get(name);
+    if (!entry) return false;
+
+    this.plugins = this.plugins.filter((p) => p !== entry);
+
+    if (entry.plugin.teardown) {
+      try {
+        entry.plugin.teardown(this.tracker);
+      } catch (error) {
+        console.error(`StandLog: Plugin ${name} teardown failed`, error);
+      }
+    }
+
+    return true;
+  }
+
+  get(name) {
+    return this.plugins.find((p) => p.name === name) || null;
+  }
+
+  /**
+   * Enable a registered plugin
+   */
+  enable(name) {
+    return this.setEnabled(name, true);
+  }
+
+  /**
+   * Disable a registered plugin without removing it
+   */
+  disable(name) {
+    return this.setEnabled(name, false);
+  }
+
+  setEnabled(name, enabled) {
+    const entry = this.get(name);
+    if (!entry) return false;
+
+    entry.enabled = enabled;
+    return true;
+  }
+
+  isEnabled(name) {
+    return Boolean(this.get(name)?.enabled);
+  }
+
+  /**
+   * List plugins in execution order
+   */
+  list() {
+    return this.plugins.map(({ name, order, enabled }) => ({
+      name,
+      order,
+      enabled,
+    }));
+  }
+
+  /**
+   * Get enabled plugins implementing a hook
+   */
+  getHandlers(hook) {
+    return this.plugins.filter(
+      (entry) => entry.enabled && typeof entry.plugin[hook] === "function"
+    );
+  }
+
+  /**
+   * Pass a value through each plugin in order
+   * Returning undefined keeps the (possibly mutated) value, null or false drops it
+   * @returns {any|null} Final value, or null when a plugin dropped it
+   */
+  transform(hook, value, ...args) {
+    let current = value;
+
+    for (const entry of this.getHandlers(hook)) {
+      const result = this.call(entry, hook, current, ...args);
+      if (result === null || result === false) return null;
+      if (result === undefined) continue;
+
+      // A Promise (async hook) or a primitive would replace the event itself
+      if (typeof result !== "object" || typeof result.then === "function") {
+        console.error(
+          `StandLog: Plugin ${entry.name} must return an object from ${hook} synchronously; result ignored`
+        );
+        continue;
+      }
+
+      current = result;
+    }
+
+    return current;
+  }
+
+  /**
+   * Async variant of transform, for hooks that may need to await
+   */
+  async transformAsync(hook, value, ...args) {
+    let current = value;
+
+    for (const entry of this.getHandlers(hook)) {
+      const result = await this.call(entry, hook, current, ...args);
+      if (result === null || result === false) return null;
+      if (result !== undefined) current = result;
+    }
+
+    return current;
+  }
+
+  /**
+   * Call a notification hook on every plugin
+   */
+  notify(hook, ...args) {
+    this.getHandlers(hook).forEach((entry) => {
+      this.call(entry, hook, ...args);
+    });
+  }
+
+  /**
+   * Invoke a hook; a throwing or rejecting plugin is skipped, never breaks tracking
+   */
+  call(entry, hook, ...args) {
+    try {
+      const result = entry.plugin[hook](...args);
+
+      if (result && typeof result.then === "function") {
+        return result.catch((error) => {
+          this.report(entry, hook, error);
+          return undefined;
+        });
+      }
+
+      return result;
+    } catch (error) {
+      this.report(entry, hook, error);
+      return undefined;
+    }
+  }
+
+  report(entry, hook, error) {
+    console.error(`StandLog: Plugin ${entry.name} failed in ${hook}`, error);
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PluginManager;
+} else {
+  window.PluginManager = PluginManager;
+}
@@ -0,0 +1,522 @@
+/**
+ * StandLog Analytics - Redaction Module
+ * Strip PII from element, form and custom event data before it is queued
+ */
+
+class Redactor {
+  // Built-in detectors; each rule is independent so it can be tested alone
+  static DETECTORS = {
+    email: {
+      pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+      label: "EMAIL",
+    },
+    creditCard: {
+      pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+      label: "CREDIT_CARD",
+      validate: (match) => Redactor.passesLuhn(match),
+    },
+    iban: {
+      pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+      label: "IBAN",
+      validate: (match) => Redactor.passesMod97(match),
+    },
+    phone: {
+      // International numbers (+country code), North American numbers and
+      // national numbers with a trunk 0; other digit groups such as prices,
+      // SKUs and ticket numbers are left alone
+      pattern:
+        /\+\d{1,3}(?:[\s.-]?\(?\d{1,4}\)?){1,5}|(?:\b1[\s.-]?)?(?:\(\s*[2-9]\d{2}\s*\)\s?|\b[2-9]\d{2}[\s.-])\d{3}[\s.-]\d{4}\b|\b0\d{1,4}[\s.-]\d{3,4}[\s.-]?\d{3,4}\b/g,
+      label: "PHONE",
+      validate: (match) => Redactor.hasPhoneLength(match),
+    },
+  };
+
+  static DEFAULT_FIELD_DENY_LIST = [
+    "password",
+    "passwd",
+    "secret",
+    "token",
+    "card",
+    "creditcard",
+    "cc",
+    "cvv",
+    "cvc",
+    "iban",
+    "ssn",
+    "email",
+    "e-mail",
+    "phone",
+    "telephone",
+    "mobile",
+    "tel",
+    "address",
+    // Person names only; "name" alone would catch planName or fileName
+    "first-name",
+    "last-name",
+    "full-name",
+    "middle-name",
+    "given-name",
+    "family-name",
+    "user-name",
+    "username",
+    /^name$/,
+  ];
+
+  constructor(config = {}) {
+    this.config = {
+      detectors: ["email", "creditCard", "iban", "phone"],
+      customDetectors: [], // [{ name, pattern, label }]
+      fieldAllowList: [], // When set, only these fields keep their values
+      // Strings match whole words of a field name (tel matches tel_home and
+      // telNumber, not hotel); RegExps are tested against the whole name
+      fieldDenyList: Redactor.DEFAULT_FIELD_DENY_LIST,
+      attributeDenyList: ["value"],
+      maskedTypes: ["password", "email", "tel", "hidden"],
+      maxTextLength: 100,
+      hashValues: false, // Replace redacted values with a salted hash
+      hashSalt: "", // Required by hashValues
+      ...config,
+    };
+
+    // Unsalted, common emails and numbers map back through a lookup table
+    if (this.config.hashValues && !this.config.hashSalt) {
+      console.error(
+        "StandLog: redaction.hashValues needs a hashSalt; values are redacted without a hash"
+      );
+      this.config.hashValues = false;
+    }
+
+    this.detectors = [
+      ...this.config.detectors
+        .filter((name) => Redactor.DETECTORS[name])
+        .map((name) => ({ name, ...Redactor.DETECTORS[name] })),
+      ...this.config.customDetectors,
+    ];
+  }
+
+  /**
+   * Luhn checksum, used to avoid flagging arbitrary digit runs as cards
+   */
+  static passesLuhn(value) {
+    const digits = value.replace(/\D/g, "");
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * ISO 13616 checksum, used to avoid flagging codes shaped like IBANs
+   */
+  static passesMod97(value) {
+    const iban = value.replace(/\s/g, "").toUpperCase();
+    const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+
+    // Letters count as 10-35; the remainder is taken piecewise since the
+    // number is far too large for a double
+    let remainder = 0;
+    for (const char of rearranged) {
+      const digits = /[A-Z]/.test(char)
+        ? String(char.charCodeAt(0) - 55)
+        : char;
+      remainder = Number(`${remainder}${digits}`) % 97;
+    }
+    return remainder === 1;
+  }
+
+  /**
+   * E.164 allows at most 15 digits; fewer than 8 are not a full number
+   */
+  static hasPhoneLength(value) {
+    const digits = value.replace(/\D/g, "").length;
+    return digits >= 8 && digits <= 15;
+  }
+
+  /**
+   * Split a field name into lowercase words: camelCase, snake_case,
+   * kebab-case and digits all break words
+   */
+  static tokenize(name) {
+    return String(name)
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .replace(/([a-zA-Z])(\d)|(\d)([a-zA-Z])/g, "$1$3 $2$4")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Salted 32-bit FNV-1a hash, so equal inputs still compare equal. The salt
+   * ships with the page: this hides values from casual reading only, and
+   * anyone holding the salt can confirm a guessed value
+   */
+  hash(value) {
+    const input = `${this.config.hashSalt}${value}`;
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
+
+  /**
+   * Build replacement token for a redacted value
+   */
+  replacement(label, value) {
+    return this.config.hashValues
+      ? `[${label}:${this.hash(value)}]`
+      : `[${label}]`;
+  }
+
+  /**
+   * Run all detectors over a string
+   */
+  redactText(text) {
+    if (typeof text !== "string" || text === "") return text;
+
+    return this.detectors.reduce((result, detector) => {
+      // Fresh RegExp so shared global patterns never carry lastIndex over
+      const pattern = new RegExp(
+        detector.pattern.source,
+        detector.pattern.flags
+      );
+
+      return result.replace(pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) return match;
+        return this.replacement(detector.label, match);
+      });
+    }, text);
+  }
+
+  /**
+   * Redact a URL: values of denied query parameters entirely, and PII in
+   * path segments, other query values and the fragment
+   */
+  redactUrl(url) {
+    if (typeof url !== "string" || url === "") return url;
+
+    const hashIndex = url.indexOf("#");
+    const hash = hashIndex >= 0 ? url.slice(hashIndex + 1) : undefined;
+    const rest = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+    const queryIndex = rest.indexOf("?");
+    const query = queryIndex >= 0 ? rest.slice(queryIndex + 1) : undefined;
+    const base = queryIndex >= 0 ? rest.slice(0, queryIndex) : rest;
+
+    const path = base
+      .split("/")
+      .map((segment) => this.redactComponent(segment))
+      .join("/");
+
+    return `${path}${query !== undefined ? `?${this.redactQuery(query)}` : ""}${
+      hash !== undefined ? `#${this.redactComponent(hash)}` : ""
+    }`;
+  }
+
+  /**
+   * Redact a query string's parameter values
+   */
+  redactQuery(query) {
+    const params = query.split("&").map((pair) => {
+      const [name, value = ""] = pair.split("=", 2);
+      if (this.isDeniedField(this.safeDecode(name))) {
+        return `${name}=${encodeURIComponent(
+          this.replacement("REDACTED", value)
+        )}`;
+      }
+      const decoded = this.safeDecode(value);
+      const redacted = this.redactText(decoded);
+      return redacted === decoded
+        ? pair
+        : `${name}=${encodeURIComponent(redacted)}`;
+    });
+
+    return params.join("&");
+  }
+
+  /**
+   * Redact one encoded path segment or fragment, re-encoding it only when
+   * it changed; ":" and "@" stay readable, e.g. in mailto: links
+   */
+  redactComponent(component) {
+    const decoded = this.safeDecode(component);
+    const redacted = this.redactText(decoded);
+    return redacted === decoded
+      ? component
+      : encodeURI(redacted).replace(/[?#]/g, encodeURIComponent);
+  }
+
+  safeDecode(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, " "));
+    } catch (e) {
+      return value;
+    }
+  }
+
+  /**
+   * Deep-redact strings inside arbitrary values (custom event properties);
+   * everything under a denied key is replaced, whatever its shape
+   */
+  redactValue(value, key = "") {
+    if (
+      key &&
+      value !== null &&
+      value !== undefined &&
+      typeof value !== "boolean" &&
+      this.isDeniedField(key)
+    ) {
+      return this.replacement(
+        "REDACTED",
+        typeof value === "string" ? value : JSON.stringify(value)
+      );
+    }
+    if (typeof value === "string") return this.redactText(value);
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redactValue(item));
+    }
+    if (value && typeof value === "object") {
+      const result = {};
+      Object.entries(value).forEach(([k, v]) => {
+        result[k] = this.redactValue(v, k);
+      });
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Check field name against allow and deny lists
+   */
+  isDeniedField(name) {
+    if (!name) return false;
+    const normalized = String(name).toLowerCase();
+
+    if (this.config.fieldAllowList.length > 0) {
+      return !this.config.fieldAllowList.some(
+        (allowed) => allowed.toLowerCase() === normalized
+      );
+    }
+
+    const tokens = Redactor.tokenize(name);
+    return this.config.fieldDenyList.some((denied) => {
+      if (denied instanceof RegExp) return denied.test(normalized);
+
+      // The entry's words must appear next to each other in the name
+      const words = Redactor.tokenize(denied);
+      if (words.length === 0) return false;
+      return tokens.some((token, i) =>
+        words.every((word, j) => tokens[i + j] === word)
+      );
+    });
+  }
+
+  /**
+   * Elements (or ancestors) marked data-standlog-ignore are never tracked
+   */
+  isIgnored(element) {
+    return Boolean(element?.closest?.("[data-standlog-ignore]"));
+  }
+
+  /**
+   * Elements (or ancestors) marked data-standlog-mask have content hidden
+   */
+  isMasked(element) {
+    return Boolean(element?.closest?.("[data-standlog-mask]"));
+  }
+
+  /**
+   * Redact element info collected for clicks
+   */
+  redactElementInfo(info, element) {
+    const masked = this.isMasked(element);
+    const redacted = { ...info };
+
+    if (info.textContent !== undefined) {
+      redacted.textContent = masked
+        ? this.replacement("MASKED", info.textContent || "")
+        : this.redactText(
+            (info.textContent || "").substring(0, this.config.maxTextLength)
+          );
+    }
+
+    if (info.attributes) {
+      redacted.attributes = {};
+      Object.entries(info.attributes).forEach(([name, value]) => {
+        if (this.config.attributeDenyList.includes(name)) return;
+        redacted.attributes[name] = masked
+          ? this.replacement("MASKED", value)
+          : this.redactText(value);
+      });
+    }
+
+    // Selectors can embed attribute values such as aria-label
+    if (info.selector) redacted.selector = this.redactText(info.selector);
+
+    if (info.ancestry) {
+      redacted.ancestry = info.ancestry.map((node, index) => ({
+        ...node,
+        attributes: Object.fromEntries(
+          Object.entries(node.attributes).map(([name, value]) => [
+            name,
+            masked && index === 0
+              ? this.replacement("MASKED", value)
+              : this.redactText(value),
+          ])
+        ),
+      }));
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact a form field: never returns raw values for sensitive fields
+   */
+  redactField(field, element) {
+    if (element && this.isIgnored(element)) return null;
+
+    const sensitive =
+      this.config.maskedTypes.includes(field.type) ||
+      this.isDeniedField(field.name) ||
+      this.isDeniedField(element?.autocomplete) ||
+      (element && this.isMasked(element));
+
+    const value = (field.value || "").substring(0, this.config.maxTextLength);
+
+    return {
+      ...field,
+      value: sensitive
+        ? this.replacement("REDACTED", value)
+        : this.redactText(value),
+    };
+  }
+
+  /**
+   * Redact a complete event; runs before events reach the queue
+   */
+  redactEvent(event) {
+    const redacted = { ...event };
+
+    if (event.url) redacted.url = this.redactUrl(event.url);
+    if (event.title) redacted.title = this.redactText(event.title);
+    if (event.referrer) redacted.referrer = this.redactUrl(event.referrer);
+
+    if (event.page) {
+      redacted.page = {
+        ...event.page,
+        url: this.redactUrl(event.page.url),
+        title: this.redactText(event.page.title),
+        referrer: this.redactUrl(event.page.referrer),
+      };
+    }
+
+    if (event.previousRoute?.url) {
+      redacted.previousRoute = {
+        ...event.previousRoute,
+        url: this.redactUrl(event.previousRoute.url),
+      };
+    }
+
+    if (event.properties) {
+      redacted.properties = this.redactValue(event.properties);
+    }
+
+    if (event.traits) {
+      redacted.traits = this.redactValue(event.traits);
+    }
+
+    if (event.error) {
+      redacted.error = {
+        ...event.error,
+        message: this.redactText(event.error.message),
+      };
+      if (event.error.stack) {
+        redacted.error.stack = event.error.stack.map((frame) => ({
+          ...frame,
+          file: this.redactUrl(frame.file),
+        }));
+      }
+      if (event.error.source) {
+        redacted.error.source = {
+          ...event.error.source,
+          file: this.redactUrl(event.error.source.file),
+        };
+      }
+      if (event.error.resource) {
+        redacted.error.resource = {
+          ...event.error.resource,
+          url: this.redactUrl(event.error.resource.url),
+        };
+      }
+      if (event.error.context) {
+        redacted.error.context = this.redactValue(event.error.context);
+      }
+    }
+
+    if (event.performance) {
+      redacted.performance = {
+        ...event.performance,
+        url: this.redactUrl(event.performance.url),
+      };
+    }
+
+    if (event.scroll?.url) {
+      redacted.scroll = {
+        ...event.scroll,
+        url: this.redactUrl(event.scroll.url),
+      };
+    }
+
+    if (event.pointer?.url) {
+      redacted.pointer = {
+        ...event.pointer,
+        url: this.redactUrl(event.pointer.url),
+        // Selectors can embed attribute values such as aria-label
+        elements: (event.pointer.elements || []).map((element) => ({
+          ...element,
+          selector: this.redactText(element.selector),
+        })),
+      };
+    }
+
+    // mailto: and tel: destinations are addresses and numbers themselves
+    if (event.link?.url) {
+      redacted.link = {
+        ...event.link,
+        url: this.redactText(this.redactUrl(event.link.url)),
+      };
+    }
+
+    if (event.attribution) {
+      redacted.attribution = this.redactValue(event.attribution);
+    }
+
+    if (event.form?.action) {
+      redacted.form = {
+        ...event.form,
+        action: this.redactUrl(event.form.action),
+      };
+    }
+
+    return redacted;
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Redactor;
+} else {
+  window.Redactor = Redactor;
+}
@@ -0,0 +1,508 @@
+/**
+ * StandLog Analytics - Event Queue Module
+ * Durable batch queue with retry, backoff and offline recovery
+ */
+
+class EventQueue {
+  constructor(config = {}) {
+    this.config = {
+      storageKey: "standlog_queue",
+      maxAttempts: 5,
+      baseDelay: 1000, // 1 second
+      maxDelay: 60000, // 1 minute
+      maxBatches: 100,
+      persist: true,
+      canPersist: () => true, // Checked before every storage access
+      send: null,
+      debug: false,
+      ...config,
+    };
+
+    this.batches = [];
+    this.inFlight = new Set(); // IDs of batches with a send in progress
+    this.flushing = false;
+    this.retryTimer = null;
+    this.stats = {
+      enqueued: 0,
+      sent: 0,
+      failed: 0,
+      retried: 0,
+      dropped: 0,
+      lastError: null,
+      lastSentAt: null,
+    };
+
+    this.storage = this.createStorage();
+    this.ready = this.restore();
+    this.setupListeners();
+  }
+
+  /**
+   * Pick the best available storage backend
+   */
+  createStorage() {
+    if (!this.config.persist) {
+      return new MemoryQueueStorage();
+    }
+    if (typeof indexedDB !== "undefined") {
+      return new IndexedDBQueueStorage(this.config.storageKey);
+    }
+    if (LocalStorageQueueStorage.isAvailable()) {
+      return new LocalStorageQueueStorage(this.config.storageKey);
+    }
+    return new MemoryQueueStorage();
+  }
+
+  /**
+   * Load batches persisted by previous page loads
+   */
+  async restore() {
+    if (!this.config.canPersist()) return;
+
+    let stored = [];
+
+    try {
+      stored = await this.storage.load();
+    } catch (error) {
+      // IndexedDB can be unavailable (private mode, blocked upgrade)
+      this.log("IndexedDB unavailable, falling back", error);
+      this.storage = LocalStorageQueueStorage.isAvailable()
+        ? new LocalStorageQueueStorage(this.config.storageKey)
+        : new MemoryQueueStorage();
+      stored = await this.storage.load().catch(() => []);
+      this.batches.forEach((batch) => this.persist(batch));
+    }
+
+    const known = new Set(this.batches.map((batch) => batch.id));
+    const restored = stored.filter((batch) => !known.has(batch.id));
+
+    this.batches = [...restored, ...this.batches].sort(
+      (a, b) => a.createdAt - b.createdAt
+    );
+
+    if (restored.length > 0) {
+      this.log(`Restored ${restored.length} pending batches`);
+      this.flush();
+    }
+  }
+
+  /**
+   * Flush whenever the browser comes back online
+   */
+  setupListeners() {
+    window.addEventListener("online", () => {
+      // Connectivity is back, so any pending backoff is stale
+      this.batches.forEach((batch) => {
+        batch.nextAttemptAt = 0;
+      });
+      this.flush();
+    });
+  }
+
+  /**
+   * Add a batch of events to the queue
+   */
+  enqueue(events, meta = {}) {
+    if (!events || events.length === 0) return null;
+
+    const batch = {
+      id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      events,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: 0,
+      ...meta,
+    };
+
+    this.batches.push(batch);
+    this.stats.enqueued++;
+    this.persist(batch);
+    this.enforceLimit();
+
+    return batch;
+  }
+
+  /**
+   * Drop the oldest batches once the queue exceeds its limit
+   */
+  enforceLimit() {
+    while (this.batches.length > this.config.maxBatches) {
+      const oldest = this.batches.shift();
+      this.stats.dropped++;
+      this.unpersist(oldest);
+      this.log("Queue full, dropped oldest batch", oldest.id);
+    }
+  }
+
+  /**
+   * Send all batches that are due
+   * @param {object} options - Passed through to the send function
+   */
+  async flush(options = {}) {
+    if (!this.config.send) return;
+
+    // Page is going away: fire everything at once, there is no time to wait
+    if (options.isUnload) {
+      const sends = this.getIdleBatches().map((batch) =>
+        this.sendBatch(batch, options)
+      );
+      // A hidden page may come back; retry whatever failed
+      await Promise.all(sends);
+      if (!this.flushing) this.scheduleRetry();
+      return;
+    }
+
+    if (this.flushing) return;
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      this.log("Offline, waiting for connection");
+      return;
+    }
+
+    this.flushing = true;
+    clearTimeout(this.retryTimer);
+
+    try {
+      await this.ready;
+
+      while (true) {
+        // Batches already being sent (e.g. by an unload flush) are skipped
+        const batch = this.getIdleBatches()[0];
+        if (!batch || batch.nextAttemptAt > Date.now()) break;
+
+        // Stop at the first failure to keep batches in order
+        const sent = await this.sendBatch(batch, options);
+        if (!sent) break;
+      }
+    } finally {
+      this.flushing = false;
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Send a single batch and update its retry state
+   */
+  async sendBatch(batch, options = {}) {
+    if (this.inFlight.has(batch.id)) return false;
+    this.inFlight.add(batch.id);
+
+    try {
+      const ok = await this.config.send(batch, options);
+      if (ok === false) {
+        throw new Error("Send rejected");
+      }
+
+      this.remove(batch);
+      this.stats.sent++;
+      this.stats.lastSentAt = Date.now();
+      return true;
+    } catch (error) {
+      this.handleFailure(batch, error);
+      return false;
+    } finally {
+      this.inFlight.delete(batch.id);
+    }
+  }
+
+  /**
+   * Pending batches that no send is currently working on, oldest first
+   */
+  getIdleBatches() {
+    return this.batches.filter((batch) => !this.inFlight.has(batch.id));
+  }
+
+  /**
+   * Record a failed attempt, dropping poison batches
+   */
+  handleFailure(batch, error) {
+    if (!this.batches.includes(batch)) return;
+
+    batch.attempts++;
+    this.stats.failed++;
+    this.stats.lastError = error?.message || String(error);
+
+    if (batch.attempts >= this.config.maxAttempts) {
+      this.remove(batch);
+      this.stats.dropped++;
+      this.log(
+        `Dropping batch ${batch.id} after ${batch.attempts} attempts`,
+        error
+      );
+      return;
+    }
+
+    batch.nextAttemptAt = Date.now() + this.getBackoffDelay(batch.attempts);
+    this.stats.retried++;
+    this.persist(batch);
+    this.log(`Batch ${batch.id} failed, attempt ${batch.attempts}`, error);
+  }
+
+  /**
+   * Exponential backoff with jitter
+   */
+  getBackoffDelay(attempt) {
+    const exponential = Math.min(
+      this.config.maxDelay,
+      this.config.baseDelay * Math.pow(2, attempt - 1)
+    );
+
+    // Equal jitter: keep half the delay, randomise the rest
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  /**
+   * Schedule the next flush for the earliest pending retry
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+
+    // Batches in flight reschedule themselves when their send settles
+    const idle = this.getIdleBatches();
+    if (idle.length === 0) return;
+
+    const nextAttemptAt = Math.min(...idle.map((batch) => batch.nextAttemptAt));
+    const delay = Math.max(0, nextAttemptAt - Date.now());
+
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  /**
+   * Remove batch from memory and storage
+   */
+  remove(batch) {
+    this.batches = this.batches.filter((b) => b.id !== batch.id);
+    this.unpersist(batch);
+  }
+
+  persist(batch) {
+    if (!this.config.canPersist()) return;
+
+    this.storage.put(batch).catch((error) => {
+      this.log("Failed to persist batch", error);
+    });
+  }
+
+  unpersist(batch) {
+    this.storage.delete(batch.id).catch((error) => {
+      this.log("Failed to delete batch", error);
+    });
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pendingBatches: this.batches.length,
+      pendingEvents: this.batches.reduce(
+        (total, batch) => total + batch.events.length,
+        0
+      ),
+      nextRetryAt:
+        this.batches.length > 0
+          ? Math.min(...this.batches.map((batch) => batch.nextAttemptAt))
+          : null,
+      storage: this.storage.type,
+      online: typeof navigator !== "undefined" ? navigator.onLine : true,
+    };
+  }
+
+  /**
+   * Drop pending events that no longer pass a check (e.g. after consent
+   * is revoked), removing batches left empty
+   * @param {function} predicate - (event) => boolean
+   */
+  filter(predicate) {
+    this.batches.slice().forEach((batch) => {
+      const events = batch.events.filter(predicate);
+      if (events.length === batch.events.length) return;
+
+      if (events.length === 0) {
+        this.remove(batch);
+      } else {
+        batch.events = events;
+        this.persist(batch);
+      }
+    });
+  }
+
+  /**
+   * Write pending batches to storage, or wipe it, after canPersist changed
+   */
+  updatePersistence() {
+    if (this.config.canPersist()) {
+      this.batches.forEach((batch) => this.persist(batch));
+      return;
+    }
+
+    this.storage.clear().catch((error) => {
+      this.log("Failed to clear storage", error);
+    });
+  }
+
+  /**
+   * Remove all pending batches
+   */
+  async clear() {
+    clearTimeout(this.retryTimer);
+    this.batches = [];
+    await this.storage.clear();
+  }
+
+  log(message, detail) {
+    if (this.config.debug) {
+      console.log(`📦 Queue: ${message}`, detail !== undefined ? detail : "");
+    }
+  }
+}
+
+/**
+ * IndexedDB storage backend
+ */
+class IndexedDBQueueStorage {
+  constructor(name) {
+    this.name = name;
+    this.type = "indexeddb";
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("batches", { keyPath: "id" });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("IndexedDB blocked"));
+    });
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("batches", mode);
+      const request = operation(tx.objectStore("batches"));
+
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  load() {
+    return this.transaction("readonly", (store) => store.getAll());
+  }
+
+  put(batch) {
+    return this.transaction("readwrite", (store) => store.put(batch));
+  }
+
+  delete(id) {
+    return this.transaction("readwrite", (store) => store.delete(id));
+  }
+
+  clear() {
+    return this.transaction("readwrite", (store) => store.clear());
+  }
+}
+
+/**
+ * localStorage storage backend
+ */
+class LocalStorageQueueStorage {
+  constructor(key) {
+    this.key = key;
+    this.type = "localstorage";
+  }
+
+  static isAvailable() {
+    try {
+      const testKey = "standlog_storage_test";
+      localStorage.setItem(testKey, "1");
+      localStorage.removeItem(testKey);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  read() {
+    try {
+      return JSON.parse(localStorage.getItem(this.key)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  write(batches) {
+    localStorage.setItem(this.key, JSON.stringify(batches));
+  }
+
+  async load() {
+    return this.read();
+  }
+
+  async put(batch) {
+    const batches = this.read().filter((b) => b.id !== batch.id);
+    batches.push(batch);
+    this.write(batches);
+  }
+
+  async delete(id) {
+    this.write(this.read().filter((b) => b.id !== id));
+  }
+
+  async clear() {
+    localStorage.removeItem(this.key);
+  }
+}
+
+/**
+ * In-memory storage backend (no persistence)
+ */
+class MemoryQueueStorage {
+  constructor() {
+    this.type = "memory";
+    this.batches = new Map();
+  }
+
+  async load() {
+    return Array.from(this.batches.values());
+  }
+
+  async put(batch) {
+    this.batches.set(batch.id, batch);
+  }
+
+  async delete(id) {
+    this.batches.delete(id);
+  }
+
+  async clear() {
+    this.batches.clear();
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EventQueue,
+    IndexedDBQueueStorage,
+    LocalStorageQueueStorage,
+    MemoryQueueStorage,
+  };
+} else {
+  window.EventQueue = EventQueue;
+  window.IndexedDBQueueStorage = IndexedDBQueueStorage;
+  window.LocalStorageQueueStorage = LocalStorageQueueStorage;
+  window.MemoryQueueStorage = MemoryQueueStorage;
+}
@@ -0,0 +1,530 @@
+/**
+ * StandLog Analytics - Replay Player Module
+ * Play recorded sessions back with a timeline of the tracker's events
+ */
+
+class ReplayPlayer {
+  // Tracker events shown on the timeline, with their marker colors
+  static MARKERS = {
+    pageview: "#6b7280",
+    click: "#3b82f6",
+    rage_click: "#ef4444",
+    dead_click: "#f59e0b",
+    error_click: "#ef4444",
+    scroll_milestone: "#10b981",
+    custom: "#8b5cf6",
+  };
+
+  static SPEEDS = [1, 2, 4, 8];
+
+  constructor(containerId, config = {}) {
+    this.container = document.getElementById(containerId);
+    this.config = {
+      speed: 1,
+      autoplay: false,
+      skipInactivity: 5000, // Jump over idle stretches longer than this (ms)
+      onEvent: null, // (event) => void when playback passes a timeline event
+      ...config,
+    };
+
+    this.records = [];
+    this.events = [];
+    this.startTime = 0;
+    this.endTime = 0;
+    this.currentTime = 0;
+    this.index = 0; // Next record to apply
+    this.eventIndex = 0; // Next timeline event to report
+    this.nodes = new Map(); // Recorded node id -> node in the player
+    this.viewport = [1024, 768];
+    this.playing = false;
+    this.frame = null;
+    this.lastFrameAt = 0;
+
+    this.handleResize = () => this.fit();
+  }
+
+  /**
+   * Decode a session's chunks and show its first frame
+   * @param {Array} chunks - Replay chunks of one session, in any order
+   * @param {Array} events - The session's tracker events for the timeline
+   * @returns {Promise<ReplayPlayer>}
+   */
+  async load(chunks, events = []) {
+    const ordered = [...chunks].sort(
+      (a, b) => a.startTime - b.startTime || a.sequence - b.sequence
+    );
+    const decoded = await Promise.all(
+      ordered.map((chunk) => ReplayPlayer.decode(chunk))
+    );
+
+    this.records = decoded.flat().sort((a, b) => a.t - b.t);
+
+    // Playback can only begin at a snapshot
+    const first = this.records.findIndex((record) => record.k === "snapshot");
+    this.records = first === -1 ? [] : this.records.slice(first);
+    if (this.records.length === 0) {
+      console.error("StandLog: No replayable snapshot in recording");
+    }
+
+    this.startTime = this.records[0]?.t || 0;
+    this.endTime = this.records[this.records.length - 1]?.t || 0;
+    this.events = events
+      .filter(
+        (event) =>
+          ReplayPlayer.MARKERS[event.type] &&
+          event.timestamp >= this.startTime &&
+          event.timestamp <= this.endTime
+      )
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    this.render();
+    this.seek(this.startTime);
+    if (this.config.autoplay) this.play();
+
+    return this;
+  }
+
+  /**
+   * Records of a chunk
+   * @returns {Promise<Array>}
+   */
+  static async decode(chunk) {
+    try {
+      if (chunk.encoding !== "gzip") return JSON.parse(chunk.data);
+
+      const bytes = Uint8Array.from(atob(chunk.data), (char) =>
+        char.charCodeAt(0)
+      );
+      const stream = new Blob([bytes])
+        .stream()
+        .pipeThrough(new DecompressionStream("gzip"));
+      return JSON.parse(await new Response(stream).text());
+    } catch (error) {
+      console.error("StandLog: Failed to decode replay chunk", error);
+      return [];
+    }
+  }
+
+  // ===================
+  // USER INTERFACE
+  // ===================
+
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = `
+      <div class="standlog-replay" style="font-family: sans-serif;">
+        <div class="replay-stage" style="position: relative; overflow: hidden; background: #f3f4f6; height: 480px;">
+          <iframe class="replay-frame" sandbox="allow-same-origin" style="border: 0; background: white; transform-origin: 0 0; position: absolute; top: 0; left: 0;"></iframe>
+          <div class="replay-cursor" style="position: absolute; width: 12px; height: 12px; margin: -6px 0 0 -6px; border-radius: 50%; background: rgba(239, 68, 68, 0.8); pointer-events: none; transition: box-shadow 0.2s;"></div>
+        </div>
+        <div class="replay-controls" style="display: flex; align-items: center; gap: 8px; padding: 8px 0;">
+          <button class="replay-play">Play</button>
+          <select class="replay-speed">
+            ${ReplayPlayer.SPEEDS.map(
+              (speed) =>
+                `<option value="${speed}" ${
+                  speed === this.config.speed ? "selected" : ""
+                }>${speed}x</option>`
+            ).join("")}
+          </select>
+          <div class="replay-timeline" style="position: relative; flex: 1;">
+            <input class="replay-seek" type="range" min="0" max="${
+              this.endTime - this.startTime
+            }" value="0" style="width: 100%;">
+            <div class="replay-markers" style="position: relative; height: 10px;"></div>
+          </div>
+          <span class="replay-time">0:00 / ${this.formatTime(
+            this.endTime - this.startTime
+          )}</span>
+        </div>
+      </div>
+    `;
+
+    this.stage = this.container.querySelector(".replay-stage");
+    this.frameElement = this.container.querySelector(".replay-frame");
+    this.cursor = this.container.querySelector(".replay-cursor");
+    this.seekInput = this.container.querySelector(".replay-seek");
+    this.timeLabel = this.container.querySelector(".replay-time");
+    this.playButton = this.container.querySelector(".replay-play");
+
+    this.renderMarkers();
+
+    this.playButton.addEventListener("click", () => {
+      if (this.playing) this.pause();
+      else this.play();
+    });
+    this.container
+      .querySelector(".replay-speed")
+      .addEventListener("change", (e) => {
+        this.config.speed = Number(e.target.value);
+      });
+    this.seekInput.addEventListener("input", (e) => {
+      this.seek(this.startTime + Number(e.target.value));
+    });
+    window.addEventListener("resize", this.handleResize);
+  }
+
+  renderMarkers() {
+    const markers = this.container.querySelector(".replay-markers");
+    const duration = this.endTime - this.startTime || 1;
+
+    this.events.forEach((event) => {
+      const marker = document.createElement("span");
+      const left = ((event.timestamp - this.startTime) / duration) * 100;
+      marker.title = this.describe(event);
+      marker.style.cssText =
+        `position: absolute; left: ${left}%; top: 0; width: 4px; ` +
+        `height: 10px; margin-left: -2px; cursor: pointer; ` +
+        `background: ${ReplayPlayer.MARKERS[event.type]};`;
+      // Start a moment before, to see what led up to it
+      marker.addEventListener("click", () =>
+        this.seek(Math.max(this.startTime, event.timestamp - 1000))
+      );
+      markers.appendChild(marker);
+    });
+  }
+
+  describe(event) {
+    const time = this.formatTime(event.timestamp - this.startTime);
+
+    switch (event.type) {
+      case "pageview":
+        return `${time} Page view: ${event.url}`;
+      case "scroll_milestone":
+        return `${time} Scrolled to ${event.scroll?.milestone}%`;
+      case "custom":
+        return `${time} ${event.name}`;
+      default:
+        return `${time} ${event.type.replace("_", " ")}${
+          event.element?.selector ? `: ${event.element.selector}` : ""
+        }`;
+    }
+  }
+
+  formatTime(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+      2,
+      "0"
+    )}`;
+  }
+
+  /**
+   * Scale the recorded viewport down to the stage
+   */
+  fit() {
+    if (!this.frameElement) return;
+
+    const [width, height] = this.viewport;
+    const scale = Math.min(
+      1,
+      this.stage.clientWidth / width || 1,
+      this.stage.clientHeight / height || 1
+    );
+
+    this.scale = scale;
+    this.frameElement.style.width = `${width}px`;
+    this.frameElement.style.height = `${height}px`;
+    this.frameElement.style.transform = `scale(${scale})`;
+  }
+
+  updateControls() {
+    if (!this.seekInput) return;
+
+    const elapsed = this.currentTime - this.startTime;
+    this.seekInput.value = elapsed;
+    this.timeLabel.textContent = `${this.formatTime(
+      elapsed
+    )} / ${this.formatTime(this.endTime - this.startTime)}`;
+    this.playButton.textContent = this.playing ? "Pause" : "Play";
+  }
+
+  // ===================
+  // PLAYBACK
+  // ===================
+
+  play() {
+    if (this.playing || this.records.length === 0) return;
+    if (this.currentTime >= this.endTime) this.seek(this.startTime);
+
+    this.playing = true;
+    this.lastFrameAt = performance.now();
+    this.frame = requestAnimationFrame((now) => this.tick(now));
+    this.updateControls();
+  }
+
+  pause() {
+    this.playing = false;
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.updateControls();
+  }
+
+  tick(now) {
+    if (!this.playing) return;
+
+    let time = this.currentTime + (now - this.lastFrameAt) * this.config.speed;
+    this.lastFrameAt = now;
+
+    // Nothing to watch while the visitor was idle
+    const next = this.records[this.index];
+    if (next && next.t - time > this.config.skipInactivity) time = next.t;
+
+    this.advance(Math.min(time, this.endTime));
+
+    if (this.currentTime >= this.endTime) {
+      this.pause();
+      return;
+    }
+    this.frame = requestAnimationFrame((next) => this.tick(next));
+  }
+
+  /**
+   * Jump to a moment: rebuild from the last snapshot before it, then apply
+   * everything recorded since
+   */
+  seek(time) {
+    let snapshot = 0;
+    for (let i = 0; i < this.records.length; i++) {
+      if (this.records[i].t > time) break;
+      if (this.records[i].k === "snapshot") snapshot = i;
+    }
+
+    this.index = snapshot;
+    this.eventIndex = this.events.findIndex((event) => event.timestamp > time);
+    if (this.eventIndex === -1) this.eventIndex = this.events.length;
+
+    this.advance(Math.max(time, this.records[snapshot]?.t || time), true);
+  }
+
+  /**
+   * Apply records up to a time
+   * @param {boolean} seeking - Skip visual effects of past clicks
+   */
+  advance(time, seeking = false) {
+    while (
+      this.index < this.records.length &&
+      this.records[this.index].t <= time
+    ) {
+      this.apply(this.records[this.index], seeking);
+      this.index++;
+    }
+
+    while (
+      !seeking &&
+      this.eventIndex < this.events.length &&
+      this.events[this.eventIndex].timestamp <= time
+    ) {
+      this.notify(this.events[this.eventIndex]);
+      this.eventIndex++;
+    }
+
+    this.currentTime = time;
+    this.updateControls();
+  }
+
+  notify(event) {
+    if (!this.config.onEvent) return;
+
+    try {
+      this.config.onEvent(event);
+    } catch (error) {
+      console.error("StandLog: Replay event handler failed", error);
+    }
+  }
+
+  apply(record, seeking) {
+    try {
+      switch (record.k) {
+        case "snapshot":
+          this.applySnapshot(record.d);
+          break;
+        case "mutation":
+          this.applyMutation(record.d);
+          break;
+        case "mouse":
+          this.moveCursor(record.d[0], record.d[1]);
+          break;
+        case "click":
+          this.moveCursor(record.d[0], record.d[1]);
+          if (!seeking) this.pulseCursor();
+          break;
+        case "scroll":
+          this.applyScroll(record.d);
+          break;
+        case "input":
+          this.applyInput(record.d);
+          break;
+        case "viewport":
+          this.viewport = record.d;
+          this.fit();
+          break;
+      }
+    } catch (error) {
+      // A record the page can't take (e.g. an invalid attribute) is skipped
+      console.error("StandLog: Failed to apply replay record", error);
+    }
+  }
+
+  // ===================
+  // DOM REBUILDING
+  // ===================
+
+  get document() {
+    return this.frameElement?.contentDocument || null;
+  }
+
+  applySnapshot(snapshot) {
+    const doc = this.document;
+    if (!doc) return;
+
+    this.nodes.clear();
+    this.viewport = snapshot.viewport;
+    this.fit();
+
+    doc.open();
+    doc.write("<!DOCTYPE html><html></html>");
+    doc.close();
+
+    const root = this.build(snapshot.node, doc);
+    doc.replaceChild(root, doc.documentElement);
+
+    // Relative URLs resolve against the recorded page
+    const head = doc.head || root;
+    const base = doc.createElement("base");
+    base.href = snapshot.url;
+    head.insertBefore(base, head.firstChild);
+
+    this.applyScroll([0, ...snapshot.scroll]);
+  }
+
+  /**
+   * Create a node (and its subtree) from its serialized form
+   */
+  build(serialized, doc) {
+    let node;
+
+    if (serialized.text !== undefined) {
+      node = doc.createTextNode(serialized.text);
+    } else if (serialized.comment) {
+      node = doc.createComment("");
+    } else {
+      node = serialized.svg
+        ? doc.createElementNS("http://www.w3.org/2000/svg", serialized.tag)
+        : doc.createElement(serialized.tag);
+
+      Object.entries(serialized.attrs).forEach(([name, value]) =>
+        this.setAttribute(node, name, value)
+      );
+      serialized.children.forEach((child) =>
+        node.appendChild(this.build(child, doc))
+      );
+
+      if (serialized.tag === "textarea" && serialized.attrs.value) {
+        node.value = serialized.attrs.value;
+      }
+    }
+
+    this.nodes.set(serialized.id, node);
+    return node;
+  }
+
+  setAttribute(node, name, value) {
+    try {
+      node.setAttribute(name, value);
+    } catch (e) {
+      // Names the DOM allows to be created by script but not by setAttribute
+    }
+  }
+
+  applyMutation(mutation) {
+    const doc = this.document;
+
+    mutation.removes.forEach((id) => {
+      const node = this.nodes.get(id);
+      if (node?.parentNode) node.parentNode.removeChild(node);
+      this.nodes.delete(id);
+    });
+
+    mutation.adds.forEach((add) => {
+      const parent = this.nodes.get(add.parent);
+      if (!parent) return;
+
+      const next = add.next ? this.nodes.get(add.next) : null;
+      parent.insertBefore(
+        this.build(add.node, doc),
+        next && next.parentNode === parent ? next : null
+      );
+    });
+
+    mutation.attrs.forEach(({ id, name, value }) => {
+      const node = this.nodes.get(id);
+      if (!node) return;
+
+      if (value === null) node.removeAttribute(name);
+      else this.setAttribute(node, name, value);
+    });
+
+    mutation.texts.forEach(({ id, text }) => {
+      const node = this.nodes.get(id);
+      if (node) node.data = text;
+    });
+  }
+
+  applyScroll([id, x, y]) {
+    if (id === 0) {
+      this.frameElement?.contentWindow?.scrollTo(x, y);
+      return;
+    }
+
+    const node = this.nodes.get(id);
+    if (node) {
+      node.scrollLeft = x;
+      node.scrollTop = y;
+    }
+  }
+
+  applyInput(input) {
+    const node = this.nodes.get(input.id);
+    if (!node) return;
+
+    if (input.checked !== undefined) node.checked = input.checked;
+    if (input.selectedIndex !== undefined) {
+      node.selectedIndex = input.selectedIndex;
+    }
+    if (input.value !== undefined) node.value = input.value;
+  }
+
+  moveCursor(x, y) {
+    if (!this.cursor) return;
+
+    const scale = this.scale || 1;
+    this.cursor.style.left = `${x * scale}px`;
+    this.cursor.style.top = `${y * scale}px`;
+  }
+
+  pulseCursor() {
+    this.cursor.style.boxShadow = "0 0 0 10px rgba(239, 68, 68, 0.3)";
+    setTimeout(() => {
+      if (this.cursor) this.cursor.style.boxShadow = "none";
+    }, 200);
+  }
+
+  destroy() {
+    this.pause();
+    window.removeEventListener("resize", this.handleResize);
+    if (this.container) {
+      this.container.innerHTML = "";
+    }
+    this.frameElement = null;
+    this.cursor = null;
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ReplayPlayer;
+} else {
+  window.ReplayPlayer = ReplayPlayer;
+}
@@ -0,0 +1,583 @@
+/**
+ * StandLog Analytics - Session Recorder Module
+ * DOM snapshot, mutations, pointer, scroll, input and viewport changes in chunks
+ */
+
+class SessionRecorder {
+  static MASK_CHARACTER = "*";
+
+  // Attributes that carry URLs and go through maskUrl
+  static URL_ATTRIBUTES = ["href", "src", "action", "poster", "data"];
+
+  // Elements whose text is code or styles rather than visible content
+  static RAW_TEXT_PARENTS = ["STYLE", "SCRIPT", "NOSCRIPT"];
+
+  constructor(config = {}) {
+    this.config = {
+      maskAllInputs: true, // Replace every typed value with asterisks
+      mouseInterval: 50, // ms between pointer samples
+      scrollInterval: 100, // ms between scroll samples per element
+      chunkInterval: 5000, // ms of records per chunk
+      maxRecords: 1000, // Cut a chunk early when this many records pile up
+      maxUnloadChunkSize: 32 * 1024, // Characters per uncompressed pagehide chunk
+      compress: true, // gzip chunks where CompressionStream is available
+      isIgnored: null, // (element) => boolean, recorded as an empty box
+      isMasked: null, // (element) => boolean, text and values hidden
+      maskText: null, // (text) => string, e.g. PII detection
+      maskUrl: null, // (url) => string
+      maskInput: null, // (element, value) => string when maskAllInputs is off
+      getSessionId: null, // () => string, stamped on each chunk when it is cut
+      onChunk: null, // (chunk) => void
+      ...config,
+    };
+
+    this.nodeIds = new WeakMap();
+    this.inputStates = new WeakMap(); // Last recorded state per form control
+    this.nextNodeId = 1;
+    this.recording = null;
+    this.records = [];
+    this.observer = null;
+    this.chunkTimer = null;
+    this.throttles = new Map(); // key -> { timer, pending }
+    this.started = false;
+
+    this.handleMutations = (mutations) => this.onMutations(mutations);
+    this.handlePointerMove = (e) =>
+      this.throttle("pointer", this.config.mouseInterval, () =>
+        this.record("mouse", [Math.round(e.clientX), Math.round(e.clientY)])
+      );
+    this.handleClick = (e) => this.onClick(e);
+    this.handleScroll = (e) => this.onScroll(e);
+    this.handleInput = (e) => this.onInput(e.target);
+    this.handleResize = () =>
+      this.throttle("viewport", this.config.scrollInterval, () =>
+        this.record("viewport", [window.innerWidth, window.innerHeight])
+      );
+  }
+
+  /**
+   * Take a full snapshot and record changes from then on
+   */
+  start() {
+    if (this.started) return;
+    if (typeof MutationObserver === "undefined") return;
+    this.started = true;
+
+    this.recording = {
+      id: `replay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      sequence: 0,
+    };
+    this.records = [];
+
+    this.takeSnapshot();
+    // The snapshot is the largest part; cut it on its own
+    this.flush("snapshot");
+
+    this.observer = new MutationObserver(this.handleMutations);
+    this.observer.observe(document, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true,
+    });
+
+    document.addEventListener("pointermove", this.handlePointerMove, {
+      capture: true,
+      passive: true,
+    });
+    document.addEventListener("click", this.handleClick, true);
+    document.addEventListener("scroll", this.handleScroll, {
+      capture: true,
+      passive: true,
+    });
+    document.addEventListener("input", this.handleInput, true);
+    document.addEventListener("change", this.handleInput, true);
+    window.addEventListener("resize", this.handleResize);
+
+    this.chunkTimer = setInterval(
+      () => this.flush("interval"),
+      this.config.chunkInterval
+    );
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    this.observer.disconnect();
+    this.observer = null;
+    clearInterval(this.chunkTimer);
+    this.chunkTimer = null;
+    this.throttles.forEach(({ timer }) => clearTimeout(timer));
+    this.throttles.clear();
+
+    document.removeEventListener("pointermove", this.handlePointerMove, true);
+    document.removeEventListener("click", this.handleClick, true);
+    document.removeEventListener("scroll", this.handleScroll, true);
+    document.removeEventListener("input", this.handleInput, true);
+    document.removeEventListener("change", this.handleInput, true);
+    window.removeEventListener("resize", this.handleResize);
+  }
+
+  /**
+   * Begin a new recording with a fresh snapshot, e.g. for a new session.
+   * Unsent records are dropped, so flush first to keep them
+   */
+  restart() {
+    if (!this.started) return;
+
+    this.stop();
+    this.start();
+  }
+
+  // ===================
+  // RECORDS
+  // ===================
+
+  /**
+   * Add a record: { t: timestamp, k: kind, d: data }
+   * @param {string} kind - 'snapshot', 'mutation', 'mouse', 'click',
+   *   'scroll', 'input' or 'viewport'
+   */
+  record(kind, data) {
+    if (!this.started) return;
+
+    this.records.push({ t: Date.now(), k: kind, d: data });
+    if (this.records.length >= this.config.maxRecords) {
+      this.flush("size");
+    }
+  }
+
+  takeSnapshot() {
+    this.record("snapshot", {
+      url: this.maskUrl(window.location.href),
+      viewport: [window.innerWidth, window.innerHeight],
+      scroll: [Math.round(window.scrollX), Math.round(window.scrollY)],
+      node: this.serialize(document.documentElement),
+    });
+  }
+
+  /**
+   * Run a recording function at most once per interval, always recording
+   * the latest call once the interval is over
+   */
+  throttle(key, interval, fn) {
+    const entry = this.throttles.get(key);
+    if (entry) {
+      entry.pending = fn;
+      return;
+    }
+
+    fn();
+    const state = { pending: null, timer: null };
+    state.timer = setTimeout(() => {
+      this.throttles.delete(key);
+      if (state.pending) state.pending();
+    }, interval);
+    this.throttles.set(key, state);
+  }
+
+  onClick(e) {
+    const id = this.getId(e.target);
+    this.record("click", [Math.round(e.clientX), Math.round(e.clientY), id]);
+  }
+
+  onScroll(e) {
+    const target =
+      e.target === document || e.target === document.documentElement
+        ? null
+        : e.target;
+    if (target && (!this.getId(target) || this.isIgnored(target))) return;
+
+    const key = target ? `scroll_${this.getId(target)}` : "scroll";
+    this.throttle(key, this.config.scrollInterval, () => {
+      const x = target ? target.scrollLeft : window.scrollX;
+      const y = target ? target.scrollTop : window.scrollY;
+      this.record("scroll", [
+        target ? this.getId(target) : 0,
+        Math.round(x),
+        Math.round(y),
+      ]);
+    });
+  }
+
+  onInput(element) {
+    const id = this.getId(element);
+    if (!id || this.isIgnored(element)) return;
+
+    let state;
+    if (element.type === "checkbox" || element.type === "radio") {
+      state = { id, checked: element.checked };
+    } else if (element.tagName === "SELECT") {
+      state = { id, selectedIndex: element.selectedIndex };
+    } else if ("value" in element) {
+      state = { id, value: this.maskValue(element, element.value) };
+    } else {
+      return;
+    }
+
+    // Most controls fire both input and change for the same edit
+    const key = JSON.stringify(state);
+    if (this.inputStates.get(element) === key) return;
+    this.inputStates.set(element, key);
+
+    this.record("input", state);
+  }
+
+  // ===================
+  // DOM SERIALIZATION
+  // ===================
+
+  getId(node) {
+    return (node && this.nodeIds.get(node)) || 0;
+  }
+
+  /**
+   * Plain-object copy of a node and its subtree; ignored elements keep
+   * their size but lose their content
+   * @returns {object|null} { id, tag, attrs, children } or { id, text }
+   */
+  serialize(node) {
+    const id = this.nextNodeId++;
+    this.nodeIds.set(node, id);
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      return { id, text: this.maskTextNode(node) };
+    }
+
+    if (node.nodeType === Node.COMMENT_NODE) {
+      return { id, comment: true };
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+    const tag = node.tagName.toLowerCase();
+    const serialized = { id, tag, attrs: {} };
+    if (node.namespaceURI === "http://www.w3.org/2000/svg") {
+      serialized.svg = true;
+    }
+
+    if (this.isIgnored(node)) {
+      const rect = node.getBoundingClientRect();
+      serialized.attrs.style =
+        `width:${Math.round(rect.width)}px;` +
+        `height:${Math.round(rect.height)}px;` +
+        "background:#e5e7eb;";
+      serialized.ignored = true;
+      serialized.children = [];
+      return serialized;
+    }
+
+    Array.from(node.attributes).forEach((attribute) => {
+      const value = this.maskAttribute(node, attribute.name, attribute.value);
+      if (value !== null) serialized.attrs[attribute.name] = value;
+    });
+
+    // Current state of form controls, which attributes don't reflect
+    if (tag === "input" || tag === "textarea") {
+      if (node.type === "checkbox" || node.type === "radio") {
+        if (node.checked) serialized.attrs.checked = "";
+        else delete serialized.attrs.checked;
+      } else {
+        serialized.attrs.value = this.maskValue(node, node.value);
+      }
+    } else if (tag === "option") {
+      if (node.selected) serialized.attrs.selected = "";
+      else delete serialized.attrs.selected;
+    }
+
+    // Scripts never run in the player, their content is not needed
+    serialized.children =
+      tag === "script" || tag === "textarea"
+        ? []
+        : Array.from(node.childNodes)
+            .map((child) => this.serialize(child))
+            .filter(Boolean);
+
+    return serialized;
+  }
+
+  maskAttribute(element, name, value) {
+    // Event handler attributes never run in the player
+    if (/^on/i.test(name)) return null;
+    if (name === "value") return this.maskValue(element, value);
+
+    if (SessionRecorder.URL_ATTRIBUTES.includes(name)) {
+      return this.maskUrl(value);
+    }
+
+    if (this.isMasked(element)) {
+      return name === "class" || name === "style" || name === "id"
+        ? value
+        : this.mask(value);
+    }
+
+    return this.maskText(value);
+  }
+
+  maskTextNode(node) {
+    const parent = node.parentNode;
+    if (parent && SessionRecorder.RAW_TEXT_PARENTS.includes(parent.nodeName)) {
+      return parent.nodeName === "STYLE" ? node.data : "";
+    }
+
+    return parent && this.isMasked(parent)
+      ? this.mask(node.data)
+      : this.maskText(node.data);
+  }
+
+  maskValue(element, value) {
+    if (typeof value !== "string" || value === "") return value;
+    if (element.type === "submit" || element.type === "button") return value;
+
+    if (
+      this.config.maskAllInputs ||
+      element.type === "password" ||
+      this.isMasked(element)
+    ) {
+      return this.mask(value);
+    }
+
+    return this.config.maskInput
+      ? this.config.maskInput(element, value)
+      : value;
+  }
+
+  /**
+   * Same length, so the layout of the page doesn't change
+   */
+  mask(value) {
+    return String(value).replace(/\S/g, SessionRecorder.MASK_CHARACTER);
+  }
+
+  maskText(text) {
+    return this.config.maskText ? this.config.maskText(text) : text;
+  }
+
+  maskUrl(url) {
+    return this.config.maskUrl ? this.config.maskUrl(url) : url;
+  }
+
+  isIgnored(element) {
+    return Boolean(this.config.isIgnored && this.config.isIgnored(element));
+  }
+
+  isMasked(element) {
+    return Boolean(this.config.isMasked && this.config.isMasked(element));
+  }
+
+  // ===================
+  // MUTATIONS
+  // ===================
+
+  /**
+   * One record per observer batch: removals first, then additions in
+   * reverse document order (so each next sibling already exists), then
+   * attribute and text changes as they are now
+   */
+  onMutations(mutations) {
+    const removes = [];
+    const added = new Set();
+    const attributes = new Map(); // node -> Set of names
+    const texts = new Set();
+
+    mutations.forEach((mutation) => {
+      const target = mutation.target;
+      const element =
+        target.nodeType === Node.ELEMENT_NODE ? target : target.parentNode;
+      if (!this.getId(target) || this.isIgnored(element)) return;
+
+      if (mutation.type === "childList") {
+        mutation.removedNodes.forEach((node) => {
+          const id = this.getId(node);
+          if (id) removes.push(id);
+          added.delete(node);
+        });
+        mutation.addedNodes.forEach((node) => added.add(node));
+      } else if (mutation.type === "attributes") {
+        if (!attributes.has(target)) attributes.set(target, new Set());
+        attributes.get(target).add(mutation.attributeName);
+      } else if (mutation.type === "characterData") {
+        texts.add(target);
+      }
+    });
+
+    // Nodes inside another added node are serialized with it
+    const roots = Array.from(added).filter((node) => {
+      if (!node.isConnected) return false;
+      for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+        if (added.has(parent)) return false;
+      }
+      return true;
+    });
+    roots.sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? 1 : -1
+    );
+
+    const adds = roots
+      .map((node) => {
+        const serialized = this.serialize(node);
+        if (!serialized) return null;
+
+        let next = node.nextSibling;
+        while (next && !this.getId(next)) next = next.nextSibling;
+        return {
+          parent: this.getId(node.parentNode),
+          next: this.getId(next) || null,
+          node: serialized,
+        };
+      })
+      .filter(Boolean);
+
+    // Added nodes were serialized with their current attributes and text
+    const fresh = (node) => {
+      for (let current = node; current; current = current.parentNode) {
+        if (added.has(current)) return true;
+      }
+      return false;
+    };
+
+    const attrs = [];
+    attributes.forEach((names, node) => {
+      if (!node.isConnected || fresh(node)) return;
+      names.forEach((name) => {
+        if (/^on/i.test(name)) return;
+        const value = node.getAttribute(name);
+        attrs.push({
+          id: this.getId(node),
+          name,
+          // null when the attribute was removed
+          value: value === null ? null : this.maskAttribute(node, name, value),
+        });
+      });
+    });
+
+    const textChanges = [];
+    texts.forEach((node) => {
+      if (!node.isConnected || fresh(node)) return;
+      textChanges.push({ id: this.getId(node), text: this.maskTextNode(node) });
+    });
+
+    if (removes.length || adds.length || attrs.length || textChanges.length) {
+      this.record("mutation", {
+        removes,
+        adds,
+        attrs,
+        texts: textChanges,
+      });
+    }
+  }
+
+  // ===================
+  // CHUNKS
+  // ===================
+
+  /**
+   * Cut the pending records into a chunk. A closing page (pagehide) gets
+   * plain JSON, since compressing is asynchronous, split into chunks small
+   * enough for a beacon
+   * @param {string} reason - 'snapshot', 'interval', 'size', 'session',
+   *   'hidden', 'pagehide' or 'manual'
+   */
+  flush(reason = "manual") {
+    if (!this.recording) return null;
+
+    // Mutations not yet delivered to the observer
+    if (this.observer) this.onMutations(this.observer.takeRecords());
+    if (this.records.length === 0) return null;
+
+    const records = this.records;
+    this.records = [];
+
+    if (reason === "pagehide") {
+      const chunks = this.splitRecords(records).map((part) =>
+        this.createChunk(part, reason)
+      );
+      chunks.forEach((chunk) => this.emit(chunk));
+      return chunks[chunks.length - 1];
+    }
+
+    const chunk = this.createChunk(records, reason);
+    if (!this.config.compress || typeof CompressionStream === "undefined") {
+      this.emit(chunk);
+      return chunk;
+    }
+
+    SessionRecorder.compress(chunk.data)
+      .then((data) => this.emit({ ...chunk, encoding: "gzip", data }))
+      .catch(() => this.emit(chunk));
+    return chunk;
+  }
+
+  createChunk(records, reason) {
+    return {
+      id: this.recording.id,
+      sequence: this.recording.sequence++,
+      sessionId: this.config.getSessionId ? this.config.getSessionId() : null,
+      reason,
+      startTime: records[0].t,
+      endTime: records[records.length - 1].t,
+      count: records.length,
+      encoding: "json",
+      data: JSON.stringify(records),
+    };
+  }
+
+  /**
+   * Group records into runs of at most maxUnloadChunkSize characters of
+   * JSON; a single larger record (e.g. a big subtree) gets a run of its own
+   */
+  splitRecords(records) {
+    const parts = [];
+    let part = [];
+    let size = 0;
+
+    records.forEach((record) => {
+      const length = JSON.stringify(record).length + 1;
+      if (part.length > 0 && size + length > this.config.maxUnloadChunkSize) {
+        parts.push(part);
+        part = [];
+        size = 0;
+      }
+      part.push(record);
+      size += length;
+    });
+    if (part.length > 0) parts.push(part);
+
+    return parts;
+  }
+
+  emit(chunk) {
+    if (!this.config.onChunk) return;
+
+    try {
+      this.config.onChunk(chunk);
+    } catch (error) {
+      console.error("StandLog: Failed to report replay chunk", error);
+    }
+  }
+
+  /**
+   * gzip a string into base64
+   * @returns {Promise<string>}
+   */
+  static async compress(text) {
+    const stream = new Blob([text])
+      .stream()
+      .pipeThrough(new CompressionStream("gzip"));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionRecorder;
+} else {
+  window.SessionRecorder = SessionRecorder;
+}
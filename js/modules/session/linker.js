@@ -0,0 +1,279 @@
+/**
+ * StandLog Analytics - Cross-Domain Linker Module
+ * Carry the user and session across allow-listed domains in a checksummed _sl parameter
+ */
+
+class CrossDomainLinker {
+  static VERSION = "1";
+
+  constructor(config = {}) {
+    this.config = {
+      domains: [], // Hostnames to link to; subdomains match too
+      parameter: "_sl",
+      maxAge: 2 * 60 * 1000, // How long a decorated URL can be adopted
+      checksumKey: "", // Shared by all linked sites, usually the public API key
+      decorateForms: true,
+      getIds: null, // () => { userId, sessionId, anonymousId, startedAt, created } or null
+      ...config,
+    };
+
+    this.started = false;
+
+    this.handleNavigation = (e) => this.onNavigation(e);
+    this.handleKeyDown = (e) => {
+      if (e.key === "Enter") this.onNavigation(e);
+    };
+    this.handleSubmit = (e) => this.onSubmit(e);
+  }
+
+  /**
+   * Decorate links and forms to linked domains as they are used
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    // mousedown also covers "open in new tab"; click covers scripted clicks
+    document.addEventListener("mousedown", this.handleNavigation, true);
+    document.addEventListener("click", this.handleNavigation, true);
+    document.addEventListener("keydown", this.handleKeyDown, true);
+    if (this.config.decorateForms) {
+      document.addEventListener("submit", this.handleSubmit, true);
+    }
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    document.removeEventListener("mousedown", this.handleNavigation, true);
+    document.removeEventListener("click", this.handleNavigation, true);
+    document.removeEventListener("keydown", this.handleKeyDown, true);
+    document.removeEventListener("submit", this.handleSubmit, true);
+  }
+
+  // ===================
+  // OUTGOING
+  // ===================
+
+  /**
+   * Whether a URL points to another allow-listed domain
+   */
+  isLinked(url) {
+    let hostname;
+    try {
+      const parsed = new URL(url, window.location.href);
+      if (!/^https?:$/.test(parsed.protocol)) return false;
+      hostname = parsed.hostname.toLowerCase();
+    } catch (e) {
+      return false;
+    }
+
+    if (hostname === window.location.hostname.toLowerCase()) return false;
+    return this.config.domains.some((domain) => {
+      const allowed = domain.toLowerCase().replace(/^\./, "");
+      return hostname === allowed || hostname.endsWith(`.${allowed}`);
+    });
+  }
+
+  /**
+   * Add (or refresh) the linker parameter on a URL to a linked domain
+   * @returns {string} The decorated URL, or the URL unchanged
+   */
+  decorate(url) {
+    if (!this.isLinked(url)) return url;
+
+    const value = this.createValue();
+    if (!value) return url;
+
+    const parsed = new URL(url, window.location.href);
+    parsed.searchParams.set(this.config.parameter, value);
+    return parsed.toString();
+  }
+
+  onNavigation(e) {
+    const link = e.target?.closest?.("a[href], area[href]");
+    if (!link) return;
+
+    const decorated = this.decorate(link.href);
+    if (decorated !== link.href) link.href = decorated;
+  }
+
+  onSubmit(e) {
+    const form = e.target;
+    if (!form || form.tagName !== "FORM" || !this.isLinked(form.action)) {
+      return;
+    }
+
+    const value = this.createValue();
+    if (!value) return;
+
+    // GET forms replace the action's query with their fields
+    if ((form.method || "get").toLowerCase() === "get") {
+      let input = form.querySelector(
+        `input[type="hidden"][name="${this.config.parameter}"]`
+      );
+      if (!input) {
+        input = document.createElement("input");
+        input.type = "hidden";
+        input.name = this.config.parameter;
+        form.appendChild(input);
+      }
+      input.value = value;
+    } else {
+      form.action = this.decorate(form.action);
+    }
+  }
+
+  /**
+   * Parameter value: version, checksum, timestamp and the IDs
+   */
+  createValue() {
+    const ids = this.config.getIds ? this.config.getIds() : null;
+    if (!ids || !ids.userId) return null;
+
+    const payload = CrossDomainLinker.encode(
+      JSON.stringify({
+        u: ids.userId,
+        s: ids.sessionId,
+        a: ids.anonymousId,
+        st: ids.startedAt,
+        c: ids.created ? 1 : 0,
+      })
+    );
+    const timestamp = Date.now().toString(36);
+
+    return [
+      CrossDomainLinker.VERSION,
+      this.checksum(timestamp, payload),
+      timestamp,
+      payload,
+    ].join(".");
+  }
+
+  // ===================
+  // INCOMING
+  // ===================
+
+  /**
+   * Read the linker parameter of the current page and remove it from the URL
+   * @returns {object|null} { userId, sessionId, anonymousId, startedAt, created }
+   */
+  consume() {
+    let url;
+    try {
+      url = new URL(window.location.href);
+    } catch (e) {
+      return null;
+    }
+
+    const value = url.searchParams.get(this.config.parameter);
+    if (value === null) return null;
+
+    // Strip it either way, so it is neither reported nor bookmarked
+    url.searchParams.delete(this.config.parameter);
+    try {
+      history.replaceState(history.state, "", url.toString());
+    } catch (e) {
+      // Sandboxed documents may not rewrite their URL
+    }
+
+    return this.parse(value);
+  }
+
+  /**
+   * Verify and unpack a parameter value
+   * @returns {object|null} IDs, or null when invalid, tampered or expired
+   */
+  parse(value) {
+    const [version, checksum, timestamp, payload] = String(value).split(".");
+    if (version !== CrossDomainLinker.VERSION || !payload) return null;
+
+    if (checksum !== this.checksum(timestamp, payload)) {
+      console.error("StandLog: Ignoring cross-domain link with a bad checksum");
+      return null;
+    }
+
+    // Copied or bookmarked links are too old to adopt
+    const age = Date.now() - parseInt(timestamp, 36);
+    if (!(age >= -this.config.maxAge && age <= this.config.maxAge)) return null;
+
+    try {
+      const ids = JSON.parse(CrossDomainLinker.decode(payload));
+      if (!ids.u || !ids.s || !ids.a) return null;
+
+      return {
+        userId: String(ids.u),
+        sessionId: String(ids.s),
+        anonymousId: String(ids.a),
+        startedAt: Number(ids.st) || Date.now(),
+        created: Boolean(ids.c),
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Checksum over the payload, the time and this browser, so edited, stale
+   * or copied links are ignored. It is not a signature: the key is public
+   * and anyone can compute a valid value, so adopted IDs are unauthenticated
+   */
+  checksum(timestamp, payload) {
+    const material = [
+      this.config.checksumKey,
+      timestamp,
+      payload,
+      navigator.userAgent,
+      navigator.language,
+    ].join("\n");
+
+    // Two passes with different seeds for a 64-bit checksum
+    return (
+      CrossDomainLinker.hash(material, 0x811c9dc5) +
+      CrossDomainLinker.hash(material, 0x01000193)
+    );
+  }
+
+  /**
+   * FNV-1a hash with a seed
+   */
+  static hash(value, seed) {
+    let hash = seed;
+
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * URL-safe base64 of a UTF-8 string
+   */
+  static encode(value) {
+    const bytes = new TextEncoder().encode(value);
+    let binary = "";
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary)
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  }
+
+  static decode(value) {
+    const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = CrossDomainLinker;
+} else {
+  window.CrossDomainLinker = CrossDomainLinker;
+}
@@ -0,0 +1,456 @@
+/**
+ * StandLog Analytics - Session Module
+ * Session lifecycle with inactivity timeout, rotation and cross-tab sharing
+ */
+
+class SessionManager {
+  static CAMPAIGN_PARAMS = ["utm_source", "utm_medium", "utm_campaign"];
+
+  constructor(config = {}) {
+    this.config = {
+      timeout: 30 * 60 * 1000, // 30 minutes of inactivity
+      rotateAtMidnight: true,
+      rotateOnCampaignChange: true,
+      storageKey: "standlog_session",
+      channelName: "standlog_session",
+      saveInterval: 5000, // Throttle for activity-only writes
+      creationTimeout: 10000, // How long another tab may hold the /session claim
+      canPersist: () => true,
+      onStart: null, // (session, reason)
+      onEnd: null, // (session, reason)
+      onChange: null, // (session) for updates made by other tabs
+      ...config,
+    };
+
+    this.current = null;
+    this.tabCampaign = null; // Last campaign this tab landed or navigated on
+    this.channel = null;
+    this.inactivityTimer = null;
+    this.lastSavedAt = 0;
+    this.creationWaiters = [];
+
+    this.handleStorage = (e) => {
+      if (e.key === this.config.storageKey && e.newValue) {
+        this.handleRemoteUpdate(this.parse(e.newValue));
+      }
+    };
+  }
+
+  /**
+   * Resume the shared session or start a new one
+   * @param {string} url - Landing URL
+   * @param {object} linked - Session carried over from another domain
+   */
+  start(url = window.location.href, linked = null) {
+    this.current = this.load();
+    if (linked) this.adopt(linked, url);
+
+    this.tabCampaign = this.getCampaign(url);
+    const reason = this.getRotationReason(
+      this.current,
+      Date.now(),
+      this.tabCampaign
+    );
+
+    if (reason) {
+      this.rotate(reason, url);
+    } else {
+      this.save();
+    }
+
+    this.connect();
+    this.scheduleInactivityCheck();
+    return this.current;
+  }
+
+  /**
+   * Record activity, rotating the session first when it has expired
+   * @param {object} options - { url, pageView }
+   */
+  touch(options = {}) {
+    const now = Date.now();
+
+    // Only a route change can bring a new campaign. Tabs that landed from
+    // different campaigns share the session, so each compares against its
+    // own last campaign rather than the session's
+    let campaign = null;
+    if (options.pageView) {
+      campaign = this.getCampaign(options.url);
+      if (campaign === this.tabCampaign) campaign = null;
+      else if (campaign) this.tabCampaign = campaign;
+    }
+
+    const reason = this.getRotationReason(this.current, now, campaign);
+
+    if (reason) {
+      this.rotate(reason, options.url);
+    }
+
+    this.current.lastActivityAt = now;
+    if (options.pageView) {
+      this.current.pageViews++;
+    }
+
+    if (
+      reason ||
+      options.pageView ||
+      now - this.lastSavedAt > this.config.saveInterval
+    ) {
+      this.save();
+    }
+
+    this.scheduleInactivityCheck();
+    return this.current;
+  }
+
+  /**
+   * Work out why a session can no longer be used
+   * @param {string|null} campaign - Campaign of a landing or route change
+   * @returns {string|null} 'new', 'timeout', 'midnight', 'campaign' or null
+   */
+  getRotationReason(session, now, campaign = null) {
+    if (!session) return "new";
+    if (session.endedAt) return "timeout";
+    if (now - session.lastActivityAt > this.config.timeout) return "timeout";
+
+    if (
+      this.config.rotateAtMidnight &&
+      new Date(session.startedAt).toDateString() !==
+        new Date(now).toDateString()
+    ) {
+      return "midnight";
+    }
+
+    if (
+      this.config.rotateOnCampaignChange &&
+      campaign &&
+      campaign !== session.campaign
+    ) {
+      return "campaign";
+    }
+
+    return null;
+  }
+
+  /**
+   * End the current session (if still open) and start a new one
+   */
+  rotate(reason, url = window.location.href) {
+    const previous = this.current;
+    if (previous && !previous.endedAt) {
+      this.end(reason);
+    }
+
+    const now = Date.now();
+    this.current = {
+      id: `session_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      anonymousId: `user_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      startedAt: now,
+      lastActivityAt: now,
+      endedAt: null,
+      pageViews: 0,
+      campaign: this.getCampaign(url) || previous?.campaign || null,
+      created: false, // Posted to the /session endpoint
+      creatingAt: null, // Set while a tab is posting it
+    };
+
+    this.save();
+    this.call("onStart", this.current, reason);
+  }
+
+  /**
+   * Continue a session started on another domain, ending the local one
+   * @param {object} linked - { sessionId, anonymousId, startedAt, created }
+   */
+  adopt(linked, url = window.location.href) {
+    if (this.current && this.current.anonymousId === linked.anonymousId) {
+      return;
+    }
+
+    if (this.current && !this.current.endedAt) {
+      this.end(
+        this.getRotationReason(
+          this.current,
+          Date.now(),
+          this.getCampaign(url)
+        ) || "linked"
+      );
+    }
+
+    this.current = {
+      id: linked.sessionId,
+      anonymousId: linked.anonymousId,
+      startedAt: linked.startedAt,
+      lastActivityAt: Date.now(),
+      endedAt: null,
+      pageViews: 0,
+      campaign: this.getCampaign(url),
+      created: linked.created, // The other domain may have posted it already
+      creatingAt: null,
+    };
+    this.save();
+  }
+
+  /**
+   * Mark the current session as ended
+   */
+  end(reason) {
+    const session = this.current;
+    if (!session || session.endedAt) return;
+
+    // An idle session ended with its last activity, not when we noticed
+    session.endedAt =
+      reason === "timeout" ? session.lastActivityAt : Date.now();
+    this.save();
+    this.call("onEnd", { ...session }, reason);
+  }
+
+  /**
+   * End the session once every tab has been idle for the timeout
+   */
+  scheduleInactivityCheck() {
+    clearTimeout(this.inactivityTimer);
+
+    const session = this.current;
+    if (!session || session.endedAt) return;
+
+    const delay = session.lastActivityAt + this.config.timeout - Date.now();
+    this.inactivityTimer = setTimeout(() => {
+      // Another tab may have kept the session alive
+      this.mergeStored();
+
+      if (Date.now() - this.current.lastActivityAt >= this.config.timeout) {
+        this.end("timeout");
+      } else {
+        this.scheduleInactivityCheck();
+      }
+    }, Math.max(0, delay) + 1000);
+  }
+
+  /**
+   * Campaign identity from UTM parameters, null when the URL has none
+   */
+  getCampaign(url) {
+    let params;
+    try {
+      params = new URL(url, window.location.href).searchParams;
+    } catch (e) {
+      return null;
+    }
+
+    const values = SessionManager.CAMPAIGN_PARAMS.map(
+      (name) => params.get(name) || ""
+    );
+    return values.some(Boolean) ? values.join("|") : null;
+  }
+
+  // ===================
+  // SERVER SESSION
+  // ===================
+
+  /**
+   * Claim the right to post /session so only one tab creates it
+   * @returns {boolean} True when this tab should post
+   */
+  claimCreation() {
+    this.mergeStored();
+
+    if (this.current.created) return false;
+
+    const claimed =
+      this.current.creatingAt &&
+      Date.now() - this.current.creatingAt < this.config.creationTimeout;
+    if (claimed) return false;
+
+    this.current.creatingAt = Date.now();
+    this.save();
+    return true;
+  }
+
+  /**
+   * Give up a claim after a failed post so another attempt can be made
+   */
+  releaseCreation() {
+    this.current.creatingAt = null;
+    this.save();
+  }
+
+  /**
+   * Record a successful /session post
+   */
+  markCreated(serverId) {
+    if (serverId) this.current.id = serverId;
+    this.current.created = true;
+    this.current.creatingAt = null;
+    this.save();
+    this.resolveCreationWaiters();
+  }
+
+  /**
+   * Wait for another tab to finish creating the session
+   */
+  waitForCreation() {
+    if (this.current.created) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this.creationWaiters = this.creationWaiters.filter((w) => w !== waiter);
+        resolve(this.current.created);
+      }, this.config.creationTimeout);
+      this.creationWaiters.push(waiter);
+    });
+  }
+
+  resolveCreationWaiters() {
+    this.creationWaiters.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.resolve(true);
+    });
+  }
+
+  // ===================
+  // CROSS-TAB SHARING
+  // ===================
+
+  /**
+   * Listen for session updates made by other tabs
+   */
+  connect() {
+    if (typeof BroadcastChannel !== "undefined") {
+      this.channel = new BroadcastChannel(this.config.channelName);
+      this.channel.onmessage = (e) => this.handleRemoteUpdate(e.data);
+    } else {
+      window.addEventListener("storage", this.handleStorage);
+    }
+  }
+
+  disconnect() {
+    clearTimeout(this.inactivityTimer);
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+    window.removeEventListener("storage", this.handleStorage);
+  }
+
+  handleRemoteUpdate(session) {
+    if (!session || !session.id || !this.config.canPersist()) return;
+
+    if (this.isSameSession(session)) {
+      this.current = this.merge(this.current, session);
+    } else if (!this.current || session.startedAt >= this.current.startedAt) {
+      this.current = session;
+    } else {
+      return; // Stale message for a session this tab has moved past
+    }
+
+    if (this.current.created) this.resolveCreationWaiters();
+    this.scheduleInactivityCheck();
+    this.call("onChange", this.current);
+  }
+
+  /**
+   * The anonymous ID never changes within a session, unlike its ID
+   */
+  isSameSession(session) {
+    return Boolean(
+      this.current && session.anonymousId === this.current.anonymousId
+    );
+  }
+
+  /**
+   * Combine two copies of one session; messages can arrive out of order,
+   * so state only ever moves forward
+   */
+  merge(local, remote) {
+    const created = [local, remote].find((session) => session.created);
+
+    return {
+      ...local,
+      ...remote,
+      id: created ? created.id : remote.id,
+      created: Boolean(created),
+      lastActivityAt: Math.max(local.lastActivityAt, remote.lastActivityAt),
+      pageViews: Math.max(local.pageViews, remote.pageViews),
+      endedAt: local.endedAt || remote.endedAt,
+    };
+  }
+
+  /**
+   * Pick up changes other tabs wrote to storage
+   */
+  mergeStored() {
+    const stored = this.read();
+    if (stored && this.isSameSession(stored)) {
+      this.current = this.merge(this.current, stored);
+    }
+  }
+
+  // ===================
+  // STORAGE
+  // ===================
+
+  load() {
+    const stored = this.read();
+    return stored && stored.id && stored.startedAt ? stored : null;
+  }
+
+  read() {
+    if (!this.config.canPersist()) return null;
+
+    try {
+      return this.parse(localStorage.getItem(this.config.storageKey));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  parse(value) {
+    try {
+      const session = JSON.parse(value);
+      return session && typeof session === "object" ? session : null;
+    } catch (e) {
+      // Not a session record (e.g. a bare ID from older versions)
+      return null;
+    }
+  }
+
+  /**
+   * Persist the session and share it with other tabs
+   */
+  save() {
+    this.lastSavedAt = Date.now();
+    if (!this.config.canPersist() || !this.current) return;
+
+    try {
+      localStorage.setItem(
+        this.config.storageKey,
+        JSON.stringify(this.current)
+      );
+    } catch (e) {
+      // Storage unavailable, the session stays local to this tab
+    }
+
+    if (this.channel) {
+      this.channel.postMessage(this.current);
+    }
+  }
+
+  call(callback, ...args) {
+    if (!this.config[callback]) return;
+
+    try {
+      this.config[callback](...args);
+    } catch (error) {
+      console.error(`StandLog: Session ${callback} handler failed`, error);
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionManager;
+} else {
+  window.SessionManager = SessionManager;
+}
@@ -0,0 +1,62 @@
+/**
+ * StandLog Analytics - Event Bus Module
+ * Fan collected events out to the feature modules
+ */
+
+class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event type ('*' receives every event)
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, []);
+    }
+    this.handlers.get(type).push(handler);
+
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Remove a handler
+   */
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) return;
+
+    this.handlers.set(
+      type,
+      handlers.filter((h) => h !== handler)
+    );
+  }
+
+  /**
+   * Deliver an event to its type handlers, then to wildcard handlers
+   */
+  emit(type, payload) {
+    const handlers = [
+      ...(this.handlers.get(type) || []),
+      ...(type !== "*" ? this.handlers.get("*") || [] : []),
+    ];
+
+    handlers.forEach((handler) => {
+      try {
+        handler(payload, type);
+      } catch (error) {
+        // One failing module must not stop the others
+        console.error(`StandLog: Event handler for "${type}" failed`, error);
+      }
+    });
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EventBus;
+} else {
+  window.EventBus = EventBus;
+}
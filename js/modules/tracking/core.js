@@ -8,15 +8,36 @@ class StandLogTracker {
     this.key = key;
     this.config = {
       apiUrl: config.apiUrl || "",
+      transport: config.transport || "fetch",
+      unloadTransport: config.unloadTransport || "beacon",
       enableHeatmaps: config.enableHeatmaps !== false,
       enableFunnels: config.enableFunnels !== false,
       enablePersonas: config.enablePersonas !== false,
       enableRealTime: config.enableRealTime !== false,
       ...config,
+      endpoints: {
+        events: "/{key}/events",
+        ...config.endpoints,
+      },
     };
     this.sessionId = null;
     this.userId = null;
     this.events = [];
+    this.redactor = new Redactor(this.config.redaction);
+    this.selectors = new SelectorGenerator(this.config.selectors);
+    this.transport = new TransportManager({
+      apiUrl: this.config.apiUrl,
+      transport: this.config.transport,
+      unloadTransport: this.config.unloadTransport,
+      headers: { Authorization: `Bearer ${this.key}`, ...config.headers },
+      endpoints: this.config.endpoints,
+      params: { key: this.key },
+    });
+    this.queue = new EventQueue({
+      ...this.config.queue,
+      storageKey: "standlog_tracker_queue",
+      send: (batch, options) => this.sendBatch(batch, options),
+    });
     this.init();
   }
 
@@ -102,6 +123,8 @@ class StandLogTracker {
    */
   trackClick(event) {
     const element = event.target;
+    if (this.redactor.isIgnored(element)) return;
+
     const clickData = {
       type: "click",
       timestamp: Date.now(),
@@ -178,6 +201,8 @@ class StandLogTracker {
    */
   trackFormSubmit(event) {
     const form = event.target;
+    if (this.redactor.isIgnored(form)) return;
+
     const formData = {
       type: "form_submit",
       timestamp: Date.now(),
@@ -217,7 +242,7 @@ class StandLogTracker {
    * Get element information
    */
   getElementInfo(element) {
-    return {
+    const info = {
       tagName: element.tagName.toLowerCase(),
       id: element.id,
       className: element.className,
@@ -225,6 +250,8 @@ class StandLogTracker {
       attributes: this.getElementAttributes(element),
       selector: this.generateSelector(element),
     };
+
+    return this.redactor.redactElementInfo(info, element);
   }
 
   /**
@@ -242,14 +269,7 @@ class StandLogTracker {
    * Generate CSS selector for element
    */
   generateSelector(element) {
-    if (element.id) return `#${element.id}`;
-
-    let selector = element.tagName.toLowerCase();
-    if (element.className) {
-      selector += `.${element.className.split(" ").join(".")}`;
-    }
-
-    return selector;
+    return this.selectors.getSelector(element);
   }
 
   /**
@@ -260,14 +280,11 @@ class StandLogTracker {
     const inputs = form.querySelectorAll("input, select, textarea");
 
     inputs.forEach((input) => {
-      fields.push({
-        name: input.name,
-        type: input.type,
-        value:
-          input.type === "password"
-            ? "[HIDDEN]"
-            : input.value?.substring(0, 100),
-      });
+      const field = this.redactor.redactField(
+        { name: input.name, type: input.type, value: input.value },
+        input
+      );
+      if (field) fields.push(field);
     });
 
     return fields;
@@ -290,6 +307,7 @@ class StandLogTracker {
    * Add event to queue
    */
   addEvent(eventData) {
+    eventData = this.redactor.redactEvent(eventData);
     eventData.sessionId = this.sessionId;
     eventData.userId = this.userId;
     eventData.projectId = this.key;
@@ -313,44 +331,47 @@ class StandLogTracker {
       }
     }, 5000);
 
-    // Send events before page unload
-    window.addEventListener("beforeunload", () => {
+    // Send events when the page is hidden for good
+    window.addEventListener("pagehide", () => {
       this.sendEvents(true);
     });
   }
 
   /**
-   * Send events to server
+   * Move pending events into the durable queue and flush it
    */
   async sendEvents(isBeforeUnload = false) {
-    if (this.events.length === 0) return;
+    if (this.events.length > 0) {
+      this.queue.enqueue([...this.events], {
+        meta: {
+          timestamp: Date.now(),
+          url: window.location.href,
+          userAgent: navigator.userAgent,
+        },
+      });
+      this.events = [];
+    }
+
+    await this.queue.flush({ isUnload: isBeforeUnload });
+  }
 
+  /**
+   * Send a queued batch to the server
+   */
+  async sendBatch(batch, options = {}) {
     const payload = {
-      events: [...this.events],
-      meta: {
-        timestamp: Date.now(),
-        url: window.location.href,
-        userAgent: navigator.userAgent,
-      },
+      batchId: batch.id,
+      events: batch.events,
+      meta: batch.meta,
     };
 
-    try {
-      const response = await fetch(`${this.config.apiUrl}/${this.key}/events`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.key}`,
-        },
-        body: JSON.stringify(payload),
-        keepalive: isBeforeUnload,
-      });
+    const response = await this.transport.send("events", payload, options);
 
-      if (response.ok) {
-        this.events = []; // Clear sent events
-      }
-    } catch (error) {
-      console.error("StandLog: Failed to send events", error);
+    if (!response.ok) {
+      throw new Error(`StandLog: Event API responded with ${response.status}`);
     }
+
+    return true;
   }
 
   /**
@@ -379,6 +400,7 @@ class StandLogTracker {
       sessionId: this.sessionId,
       userId: this.userId,
       eventsQueued: this.events.length,
+      queue: this.queue.getStats(),
       config: this.config,
     };
   }
@@ -0,0 +1,290 @@
+/**
+ * StandLog Analytics - Declarative Tracking Module
+ * Custom events from data-standlog-event markup, without JavaScript calls
+ */
+
+class DeclarativeTracker {
+  static TRIGGERS = ["click", "submit", "visible", "hover"];
+  static EVENT_ATTRIBUTE = "data-standlog-event";
+  static TRIGGER_ATTRIBUTE = "data-standlog-trigger";
+  static PROPERTY_PREFIX = "data-standlog-prop-";
+
+  constructor(config = {}) {
+    this.config = {
+      hoverDelay: 500, // ms the pointer must rest on the element
+      visibleThreshold: 0.5, // Share of the element in view
+      visibleOnce: true, // Track each element's visibility only once
+      isIgnored: null, // (element) => boolean
+      onTrack: null, // (name, properties, { trigger, element }) => void
+      ...config,
+    };
+
+    this.started = false;
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+    this.observed = new Set(); // Elements watched for visibility
+    this.seen = new WeakSet(); // Elements already tracked as visible
+    this.hover = null; // { element, timer }
+    this.warned = new Set();
+
+    this.handleClick = (e) => this.onClick(e);
+    this.handleSubmit = (e) => this.onSubmit(e);
+    this.handleMouseOver = (e) => this.onMouseOver(e);
+    this.handleMouseOut = (e) => this.onMouseOut(e);
+  }
+
+  /**
+   * Start listening; click, submit and hover are delegated from the document,
+   * visible elements are observed as they appear
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    document.addEventListener("click", this.handleClick, true);
+    document.addEventListener("submit", this.handleSubmit, true);
+    document.addEventListener("mouseover", this.handleMouseOver, true);
+    document.addEventListener("mouseout", this.handleMouseOut, true);
+
+    if (typeof IntersectionObserver !== "undefined") {
+      this.intersectionObserver = new IntersectionObserver(
+        (entries) => entries.forEach((entry) => this.onIntersection(entry)),
+        { threshold: this.config.visibleThreshold }
+      );
+    }
+
+    if (typeof MutationObserver !== "undefined") {
+      this.mutationObserver = new MutationObserver((mutations) =>
+        mutations.forEach((mutation) => this.onMutation(mutation))
+      );
+      this.mutationObserver.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: [
+          DeclarativeTracker.EVENT_ATTRIBUTE,
+          DeclarativeTracker.TRIGGER_ATTRIBUTE,
+        ],
+      });
+    }
+
+    this.scan(document.documentElement);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    document.removeEventListener("click", this.handleClick, true);
+    document.removeEventListener("submit", this.handleSubmit, true);
+    document.removeEventListener("mouseover", this.handleMouseOver, true);
+    document.removeEventListener("mouseout", this.handleMouseOut, true);
+
+    this.cancelHover();
+    this.intersectionObserver?.disconnect();
+    this.mutationObserver?.disconnect();
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+    this.observed.clear();
+  }
+
+  /**
+   * Trigger of an element: explicit, or submit for forms and click otherwise
+   */
+  getTrigger(element) {
+    const value = element
+      .getAttribute(DeclarativeTracker.TRIGGER_ATTRIBUTE)
+      ?.trim()
+      .toLowerCase();
+
+    if (!value) return element.tagName === "FORM" ? "submit" : "click";
+    if (DeclarativeTracker.TRIGGERS.includes(value)) return value;
+
+    if (!this.warned.has(value)) {
+      this.warned.add(value);
+      console.error(
+        `StandLog: Unknown ${DeclarativeTracker.TRIGGER_ATTRIBUTE} "${value}"`
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Properties from data-standlog-prop-* attributes, e.g.
+   * data-standlog-prop-plan="pro" becomes { plan: "pro" }
+   */
+  getProperties(element) {
+    const properties = {};
+
+    Array.from(element.attributes).forEach((attribute) => {
+      if (attribute.name.startsWith(DeclarativeTracker.PROPERTY_PREFIX)) {
+        const name = attribute.name.slice(
+          DeclarativeTracker.PROPERTY_PREFIX.length
+        );
+        if (name) properties[name] = attribute.value;
+      }
+    });
+
+    return properties;
+  }
+
+  /**
+   * Nearest element at or above the target tracked with the given trigger
+   */
+  findTracked(target, trigger) {
+    const selector = `[${DeclarativeTracker.EVENT_ATTRIBUTE}]`;
+    let element = target?.closest?.(selector);
+
+    while (element) {
+      if (this.getTrigger(element) === trigger) return element;
+      element = element.parentElement?.closest(selector);
+    }
+    return null;
+  }
+
+  fire(element, trigger) {
+    if (this.config.isIgnored && this.config.isIgnored(element)) return;
+
+    const name = element.getAttribute(DeclarativeTracker.EVENT_ATTRIBUTE);
+    if (!name || !this.config.onTrack) return;
+
+    try {
+      this.config.onTrack(name, this.getProperties(element), {
+        trigger,
+        element,
+      });
+    } catch (error) {
+      console.error(`StandLog: Failed to track ${name}`, error);
+    }
+  }
+
+  // ===================
+  // TRIGGERS
+  // ===================
+
+  onClick(e) {
+    const element = this.findTracked(e.target, "click");
+    if (element) this.fire(element, "click");
+  }
+
+  onSubmit(e) {
+    const form = e.target;
+    if (
+      form.hasAttribute?.(DeclarativeTracker.EVENT_ATTRIBUTE) &&
+      this.getTrigger(form) === "submit"
+    ) {
+      this.fire(form, "submit");
+    }
+  }
+
+  onMouseOver(e) {
+    const element = this.findTracked(e.target, "hover");
+    if (!element || this.hover?.element === element) return;
+
+    this.cancelHover();
+    this.hover = {
+      element,
+      timer: setTimeout(() => {
+        this.hover = { element, timer: null };
+        this.fire(element, "hover");
+      }, this.config.hoverDelay),
+    };
+  }
+
+  onMouseOut(e) {
+    if (!this.hover) return;
+
+    // Moving between children of the hovered element is not leaving it
+    const next = e.relatedTarget;
+    if (next && this.hover.element.contains(next)) return;
+    this.cancelHover();
+  }
+
+  cancelHover() {
+    if (this.hover) clearTimeout(this.hover.timer);
+    this.hover = null;
+  }
+
+  onIntersection(entry) {
+    if (!entry.isIntersecting) return;
+
+    const element = entry.target;
+    if (this.config.visibleOnce) {
+      if (this.seen.has(element)) return;
+      this.seen.add(element);
+      this.unobserve(element);
+    }
+    this.fire(element, "visible");
+  }
+
+  // ===================
+  // DOM CHANGES
+  // ===================
+
+  onMutation(mutation) {
+    if (mutation.type === "attributes") {
+      this.update(mutation.target);
+      return;
+    }
+
+    mutation.addedNodes.forEach((node) => {
+      if (node.nodeType === 1) this.scan(node);
+    });
+    mutation.removedNodes.forEach((node) => {
+      if (node.nodeType !== 1) return;
+      this.observed.forEach((element) => {
+        if (node === element || node.contains(element)) {
+          this.unobserve(element);
+        }
+      });
+    });
+  }
+
+  /**
+   * Watch visible-triggered elements in a subtree
+   */
+  scan(root) {
+    const selector = `[${DeclarativeTracker.EVENT_ATTRIBUTE}][${DeclarativeTracker.TRIGGER_ATTRIBUTE}]`;
+    if (root.matches?.(selector)) this.update(root);
+    root
+      .querySelectorAll?.(selector)
+      .forEach((element) => this.update(element));
+  }
+
+  /**
+   * Start or stop observing an element after its attributes changed
+   */
+  update(element) {
+    const wantsVisible =
+      element.hasAttribute(DeclarativeTracker.EVENT_ATTRIBUTE) &&
+      element.hasAttribute(DeclarativeTracker.TRIGGER_ATTRIBUTE) &&
+      this.getTrigger(element) === "visible";
+
+    if (wantsVisible && !this.seen.has(element)) {
+      this.observe(element);
+    } else if (!wantsVisible) {
+      this.unobserve(element);
+    }
+  }
+
+  observe(element) {
+    if (!this.intersectionObserver || this.observed.has(element)) return;
+
+    this.observed.add(element);
+    this.intersectionObserver.observe(element);
+  }
+
+  unobserve(element) {
+    if (!this.observed.has(element)) return;
+
+    this.observed.delete(element);
+    this.intersectionObserver?.unobserve(element);
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DeclarativeTracker;
+} else {
+  window.DeclarativeTracker = DeclarativeTracker;
+}
@@ -0,0 +1,506 @@
+/**
+ * StandLog Analytics - Form Analytics Module
+ * Field-level interaction and abandonment; field values are never read
+ */
+
+class FormTracker {
+  static NAME_ATTRIBUTE = "data-standlog-form";
+  static FIELD_ATTRIBUTE = "data-standlog-field";
+  static SKIPPED_TYPES = ["hidden", "submit", "button", "reset", "image"];
+
+  constructor(config = {}) {
+    this.config = {
+      selector: "form", // Forms to track
+      maxAttempts: 50, // Attempts kept per form for getFormAnalysis()
+      isIgnored: null, // (element) => boolean
+      onEvent: null, // (type, form) => void
+      ...config,
+    };
+
+    this.selectors = new SelectorGenerator();
+    this.attempts = new Map(); // form name -> attempts, oldest first
+    this.active = new Map(); // form element -> active attempt
+    this.submitted = new WeakMap(); // form element -> last submitted attempt
+    this.visit = null; // Field currently focused
+    this.started = false;
+
+    this.handleFocusIn = (e) => this.onFocusIn(e);
+    this.handleFocusOut = (e) => this.onFocusOut(e);
+    this.handleInput = (e) => this.onInput(e);
+    this.handleInvalid = (e) => this.onInvalid(e);
+    this.handleSubmit = (e) => this.onSubmit(e);
+    this.handleRouteChange = () => this.flush("route");
+  }
+
+  /**
+   * Start listening; all listeners are delegated from the document
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    document.addEventListener("focusin", this.handleFocusIn, true);
+    document.addEventListener("focusout", this.handleFocusOut, true);
+    document.addEventListener("input", this.handleInput, true);
+    document.addEventListener("change", this.handleInput, true);
+    // invalid doesn't bubble, but the capture phase still sees it
+    document.addEventListener("invalid", this.handleInvalid, true);
+    document.addEventListener("submit", this.handleSubmit, true);
+    window.addEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    document.removeEventListener("focusin", this.handleFocusIn, true);
+    document.removeEventListener("focusout", this.handleFocusOut, true);
+    document.removeEventListener("input", this.handleInput, true);
+    document.removeEventListener("change", this.handleInput, true);
+    document.removeEventListener("invalid", this.handleInvalid, true);
+    document.removeEventListener("submit", this.handleSubmit, true);
+    window.removeEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  /**
+   * Form name: data-standlog-form, then id, name attribute or selector
+   */
+  getFormName(form) {
+    return (
+      form.getAttribute(FormTracker.NAME_ATTRIBUTE) ||
+      form.id ||
+      form.getAttribute("name") ||
+      this.selectors.getSelector(form)
+    );
+  }
+
+  /**
+   * Trackable fields of a form, in document order
+   */
+  getFields(form) {
+    return Array.from(form.elements).filter(
+      (element) =>
+        ["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName) &&
+        !FormTracker.SKIPPED_TYPES.includes(element.type) &&
+        !(this.config.isIgnored && this.config.isIgnored(element))
+    );
+  }
+
+  /**
+   * Name, type and position of a field; never its value
+   */
+  getFieldInfo(field, fields) {
+    const index = fields.indexOf(field);
+    const type = field.tagName === "INPUT" ? field.type : field.tagName;
+
+    return {
+      name:
+        field.getAttribute(FormTracker.FIELD_ATTRIBUTE) ||
+        field.name ||
+        field.id ||
+        `${type.toLowerCase()}_${index + 1}`,
+      type: type.toLowerCase(),
+      index,
+      required: Boolean(field.required),
+    };
+  }
+
+  /**
+   * Form and field of an event target, if it is a tracked field
+   */
+  resolve(target) {
+    const form = target?.form;
+    if (!form || !form.matches?.(this.config.selector)) return null;
+    if (this.config.isIgnored && this.config.isIgnored(form)) return null;
+
+    const fields = this.getFields(form);
+    if (!fields.includes(target)) return null;
+
+    return { form, field: this.getFieldInfo(target, fields), fields };
+  }
+
+  // ===================
+  // FIELD INTERACTIONS
+  // ===================
+
+  onFocusIn(e) {
+    const resolved = this.resolve(e.target);
+    if (!resolved) return;
+
+    const attempt = this.getAttempt(resolved.form, resolved.fields);
+    const stats = attempt.fields[resolved.field.name];
+    stats.visits++;
+
+    this.visit = {
+      element: e.target,
+      attempt,
+      field: resolved.field,
+      start: Date.now(),
+      changed: false,
+      corrections: 0,
+    };
+  }
+
+  onInput(e) {
+    const visit = this.visit;
+    if (!visit || visit.element !== e.target) return;
+
+    visit.changed = true;
+    if (e.inputType && e.inputType.startsWith("delete")) visit.corrections++;
+  }
+
+  onFocusOut(e) {
+    const visit = this.visit;
+    if (!visit || visit.element !== e.target) return;
+    this.visit = null;
+
+    const { attempt, field } = visit;
+    const stats = attempt.fields[field.name];
+    const timeInField = Date.now() - visit.start;
+
+    // Changing a field again after filling it in an earlier visit
+    const refill = visit.changed && stats.changed;
+
+    stats.time += timeInField;
+    stats.corrections += visit.corrections;
+    if (refill) stats.refills++;
+    if (visit.changed) stats.changed = true;
+    this.touch(attempt, field);
+
+    this.emit("form_field", attempt, {
+      field,
+      timeInField,
+      changed: visit.changed,
+      refill,
+      corrections: visit.corrections,
+      filled: this.isFilled(visit.element),
+    });
+  }
+
+  onInvalid(e) {
+    const resolved = this.resolve(e.target);
+    if (!resolved) return;
+
+    const attempt = this.getAttempt(resolved.form, resolved.fields);
+    const stats = attempt.fields[resolved.field.name];
+    const validity = this.getValidity(e.target);
+
+    stats.invalid++;
+    validity.forEach((reason) => {
+      stats.validity[reason] = (stats.validity[reason] || 0) + 1;
+    });
+    this.touch(attempt, resolved.field);
+
+    this.emit("form_invalid", attempt, { field: resolved.field, validity });
+  }
+
+  onSubmit(e) {
+    const attempt = this.active.get(e.target);
+    if (!attempt) return;
+
+    attempt.status = "submitted";
+    attempt.endTime = Date.now();
+    this.active.delete(e.target);
+    this.submitted.set(e.target, attempt);
+  }
+
+  /**
+   * ID of the form's current attempt, or of the one just submitted; lets a
+   * submit settle a "hidden" form_abandon of the same attempt
+   */
+  getAttemptId(form) {
+    const attempt = this.active.get(form) || this.submitted.get(form);
+    return attempt ? attempt.id : null;
+  }
+
+  /**
+   * Failed ValidityState flags, e.g. ['valueMissing']
+   */
+  getValidity(field) {
+    const validity = field.validity;
+    if (!validity) return [];
+
+    return [
+      "valueMissing",
+      "typeMismatch",
+      "patternMismatch",
+      "tooLong",
+      "tooShort",
+      "rangeUnderflow",
+      "rangeOverflow",
+      "stepMismatch",
+      "badInput",
+      "customError",
+    ].filter((flag) => validity[flag]);
+  }
+
+  /**
+   * Whether a field has something in it, without reading what
+   */
+  isFilled(field) {
+    if (field.type === "checkbox" || field.type === "radio") {
+      return field.checked;
+    }
+    return field.value !== "";
+  }
+
+  // ===================
+  // ATTEMPTS
+  // ===================
+
+  /**
+   * Active attempt at a form; the first interaction starts one
+   */
+  getAttempt(form, fields) {
+    if (this.active.has(form)) return this.active.get(form);
+
+    const name = this.getFormName(form);
+    const attempt = {
+      id: `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      startTime: Date.now(),
+      endTime: null,
+      status: "active",
+      fields: {},
+      order: [], // Field names in form order
+      lastField: null,
+      reported: false, // Abandonment reported since the last interaction
+    };
+
+    fields.forEach((field) => {
+      const info = this.getFieldInfo(field, fields);
+      attempt.order.push(info.name);
+      attempt.fields[info.name] = {
+        ...info,
+        visits: 0,
+        time: 0,
+        changed: false,
+        refills: 0,
+        corrections: 0,
+        invalid: 0,
+        validity: {},
+        touchedAt: null,
+      };
+    });
+
+    this.active.set(form, attempt);
+    const attempts = this.attempts.get(name) || [];
+    attempts.push(attempt);
+    attempts.splice(0, attempts.length - this.config.maxAttempts);
+    this.attempts.set(name, attempts);
+
+    return attempt;
+  }
+
+  touch(attempt, field) {
+    const stats = attempt.fields[field.name];
+    stats.touchedAt = stats.touchedAt ?? Date.now();
+    attempt.lastField = field.name;
+    attempt.reported = false;
+  }
+
+  /**
+   * Report forms that were started but not submitted
+   * @param {string} reason - 'hidden', 'route', 'pagehide' or 'manual'
+   */
+  flush(reason = "manual") {
+    // A focused field counts as touched when the page goes away
+    if (this.visit && reason !== "hidden") {
+      this.onFocusOut({ target: this.visit.element });
+    }
+
+    this.active.forEach((attempt, form) => {
+      if (!attempt.lastField) return;
+
+      // Hidden pages may come back; the attempt goes on after a report
+      if (reason !== "hidden") {
+        attempt.status = "abandoned";
+        attempt.endTime = Date.now();
+        this.active.delete(form);
+      }
+      if (attempt.reported) return;
+      attempt.reported = true;
+
+      const touched = attempt.order.filter(
+        (name) => attempt.fields[name].touchedAt !== null
+      );
+      const { name, type, index, required } = attempt.fields[attempt.lastField];
+      this.emit("form_abandon", attempt, {
+        reason,
+        lastField: { name, type, index, required },
+        fieldsTouched: touched.length,
+        fieldCount: attempt.order.length,
+        duration: Date.now() - attempt.startTime,
+      });
+    });
+  }
+
+  emit(type, attempt, details) {
+    if (!this.config.onEvent) return;
+
+    try {
+      this.config.onEvent(type, {
+        name: attempt.name,
+        attemptId: attempt.id,
+        ...details,
+      });
+    } catch (error) {
+      console.error(`StandLog: Failed to report ${type}`, error);
+    }
+  }
+
+  // ===================
+  // ANALYSIS
+  // ===================
+
+  /**
+   * Field-by-field funnel of a form, in the shape of
+   * FunnelAnalyzer.getFunnelAnalysis(); the last step is the submit
+   * @param {string} name - Form name, see getFormName()
+   */
+  getFormAnalysis(name) {
+    const attempts = this.attempts.get(name);
+    if (!attempts || attempts.length === 0) return null;
+
+    const order = this.getStepOrder(attempts);
+    const steps = [
+      ...order.map((field, index) => ({
+        id: field,
+        name: field,
+        order: index,
+      })),
+      {
+        id: "submit",
+        name: "Submit",
+        event: "form_submit",
+        order: order.length,
+      },
+    ];
+
+    const submitted = attempts.filter((a) => a.status === "submitted");
+    const stats = {
+      totalSessions: attempts.length,
+      completedSessions: submitted.length,
+      conversionRate: (submitted.length / attempts.length) * 100,
+      steps: steps.map((step, index) =>
+        index < order.length
+          ? this.getFieldStats(attempts, step.id, index)
+          : {
+              stepIndex: index,
+              reached: submitted.length,
+              dropped: 0,
+              conversionFromPrevious: 0,
+              averageTimeToNext: 0,
+              commonDropoffReasons: [],
+            }
+      ),
+    };
+
+    stats.steps.forEach((step, index) => {
+      const previous = stats.steps[index - 1];
+      if (previous && previous.reached > 0) {
+        step.conversionFromPrevious = (step.reached / previous.reached) * 100;
+      }
+    });
+
+    return {
+      funnel: { id: name, name, steps, options: {} },
+      stats,
+      sessions: attempts.map((attempt) => ({
+        sessionId: attempt.id,
+        startTime: attempt.startTime,
+        status: attempt.status,
+        lastField: attempt.lastField,
+        fields: attempt.fields,
+      })),
+      dropoffAnalysis: stats.steps.slice(0, -1).map((step, index) => ({
+        fromStep: index,
+        toStep: index + 1,
+        dropoffCount: step.dropped,
+        dropoffRate: step.reached ? (step.dropped / step.reached) * 100 : 0,
+        insights: step.commonDropoffReasons,
+      })),
+      timeAnalysis: order.map((field, index) =>
+        this.getFieldTimings(attempts, field, index)
+      ),
+    };
+  }
+
+  /**
+   * Fields in form order; forms that changed between attempts keep every
+   * field seen
+   */
+  getStepOrder(attempts) {
+    const order = [];
+    attempts.forEach((attempt) => {
+      attempt.order.forEach((field, index) => {
+        if (order.includes(field)) return;
+        const next = attempt.order
+          .slice(index + 1)
+          .find((name) => order.includes(name));
+        order.splice(next ? order.indexOf(next) : order.length, 0, field);
+      });
+    });
+    return order;
+  }
+
+  getFieldStats(attempts, field, index) {
+    const touched = attempts.filter((a) => a.fields[field]?.touchedAt);
+    // Dropped: left the form with this as the last field touched
+    const dropped = touched.filter(
+      (a) => a.status !== "submitted" && a.lastField === field
+    );
+
+    const sum = (list, key) =>
+      list.reduce((total, a) => total + a.fields[field][key], 0);
+
+    const reasons = {};
+    dropped.forEach((attempt) => {
+      Object.entries(attempt.fields[field].validity).forEach(([reason]) => {
+        reasons[reason] = (reasons[reason] || 0) + 1;
+      });
+    });
+
+    return {
+      stepIndex: index,
+      reached: touched.length,
+      dropped: dropped.length,
+      conversionFromPrevious: 0,
+      averageTimeToNext: touched.length
+        ? sum(touched, "time") / touched.length
+        : 0,
+      commonDropoffReasons: Object.entries(reasons)
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, count]) => `${reason} (${count})`),
+      refills: sum(touched, "refills"),
+      corrections: sum(touched, "corrections"),
+      invalid: sum(touched, "invalid"),
+    };
+  }
+
+  getFieldTimings(attempts, field, index) {
+    const durations = attempts
+      .filter((a) => a.fields[field]?.touchedAt)
+      .map((a) => a.fields[field].time)
+      .sort((a, b) => a - b);
+
+    return {
+      fromStep: index,
+      toStep: index + 1,
+      durations,
+      average: durations.length
+        ? durations.reduce((a, b) => a + b, 0) / durations.length
+        : 0,
+      median: durations[Math.floor(durations.length / 2)] ?? 0,
+      min: durations[0] ?? 0,
+      max: durations[durations.length - 1] ?? 0,
+    };
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FormTracker;
+} else {
+  window.FormTracker = FormTracker;
+}
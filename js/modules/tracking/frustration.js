@@ -0,0 +1,256 @@
+/**
+ * StandLog Analytics - Frustration Signals Module
+ * Rage clicks, dead clicks and error clicks derived from tracked clicks
+ */
+
+class FrustrationDetector {
+  // Elements that respond to clicks without changing the DOM themselves
+  static INTERACTIVE_SELECTOR = [
+    "a[href]",
+    "button",
+    "input",
+    "select",
+    "textarea",
+    "label",
+    "summary",
+    "video",
+    "audio",
+    "[contenteditable]",
+    "[onclick]",
+    "[tabindex]",
+    '[role="button"]',
+    '[role="link"]',
+    '[role="checkbox"]',
+    '[role="tab"]',
+    '[role="menuitem"]',
+  ].join(",");
+
+  constructor(config = {}) {
+    this.config = {
+      rageClickCount: 3, // Clicks needed for a rage click
+      rageClickRadius: 30, // px between clicks
+      rageClickWindow: 1000, // ms from first to last click
+      deadClickTimeout: 1000, // ms to wait for a DOM change or navigation
+      errorClickWindow: 1000, // ms between a click and the error it caused
+      onSignal: null, // (type, signal) => void
+      ...config,
+    };
+
+    this.recentClicks = []; // { x, y, time, click }
+    this.rageBurst = null; // Burst already reported as a rage click
+    this.lastClick = null;
+    this.pendingDeadClicks = [];
+    this.lastMutationAt = 0;
+    this.observer = null;
+    this.listening = false;
+
+    this.handleError = (e) => this.onWindowError(e);
+    this.handleRejection = (e) => this.onRejection(e);
+  }
+
+  /**
+   * Listen for errors directly, for when no ErrorTracker feeds
+   * observeError()
+   */
+  listenForErrors() {
+    if (this.listening) return;
+    this.listening = true;
+
+    window.addEventListener("error", this.handleError);
+    window.addEventListener("unhandledrejection", this.handleRejection);
+  }
+
+  stopListeningForErrors() {
+    if (!this.listening) return;
+    this.listening = false;
+
+    window.removeEventListener("error", this.handleError);
+    window.removeEventListener("unhandledrejection", this.handleRejection);
+  }
+
+  onWindowError(event) {
+    // Opaque cross-origin errors say nothing about the click
+    if (!event.error && /^Script error\.?$/.test(event.message || "")) return;
+
+    this.observeError(
+      this.describeError(event.error || event.message, "error")
+    );
+  }
+
+  onRejection(event) {
+    this.observeError(this.describeError(event.reason, "unhandledrejection"));
+  }
+
+  describeError(error, kind) {
+    const isError = Boolean(error) && typeof error.message === "string";
+
+    return {
+      kind,
+      name: (isError && error.name) || "Error",
+      message: String(
+        (isError ? error.message : error) || "Unknown error"
+      ).substring(0, 500),
+      fingerprint: null,
+      handled: false,
+    };
+  }
+
+  /**
+   * Check a tracked click for rage and dead click patterns
+   * @param {Event} event - The DOM click event
+   * @param {object} click - The click event recorded by the tracker
+   */
+  observeClick(event, click) {
+    const now = Date.now();
+    this.lastClick = { time: now, click };
+
+    this.detectRageClick(now, click);
+    this.watchForDeadClick(now, event.target, click);
+  }
+
+  /**
+   * N clicks within a small radius and time window
+   */
+  detectRageClick(now, click) {
+    const { pageX: x, pageY: y } = click.coordinates;
+    const { rageClickCount, rageClickRadius, rageClickWindow } = this.config;
+
+    this.recentClicks = this.recentClicks.filter(
+      (c) => now - c.time <= rageClickWindow
+    );
+    this.recentClicks.push({ x, y, time: now });
+
+    const nearby = this.recentClicks.filter(
+      (c) => Math.hypot(c.x - x, c.y - y) <= rageClickRadius
+    );
+
+    // Keep clicking in the same burst without reporting it again
+    if (this.rageBurst && now - this.rageBurst.last <= rageClickWindow) {
+      this.rageBurst.last = now;
+      return;
+    }
+    this.rageBurst = null;
+
+    if (nearby.length >= rageClickCount) {
+      this.rageBurst = { last: now };
+      this.emit("rage_click", {
+        ...click,
+        clickCount: nearby.length,
+        duration: now - nearby[0].time,
+      });
+    }
+  }
+
+  /**
+   * A click on a non-interactive element that changes nothing
+   */
+  watchForDeadClick(now, target, click) {
+    if (!target || !target.closest || this.isInteractive(target)) return;
+
+    // Selecting text is not an attempt to interact
+    if (window.getSelection && String(window.getSelection()).length > 0) {
+      return;
+    }
+
+    this.startObserving();
+
+    const pending = { time: now, url: window.location.href, click };
+    this.pendingDeadClicks.push(pending);
+
+    setTimeout(() => {
+      this.pendingDeadClicks = this.pendingDeadClicks.filter(
+        (p) => p !== pending
+      );
+      if (this.pendingDeadClicks.length === 0) this.stopObserving();
+
+      const changed =
+        this.lastMutationAt >= pending.time ||
+        window.location.href !== pending.url;
+      if (!changed) {
+        this.emit("dead_click", {
+          ...click,
+          timeout: this.config.deadClickTimeout,
+        });
+      }
+    }, this.config.deadClickTimeout);
+  }
+
+  isInteractive(element) {
+    if (element.closest(FrustrationDetector.INTERACTIVE_SELECTOR)) return true;
+
+    // Custom widgets usually advertise themselves with a pointer cursor
+    try {
+      return window.getComputedStyle(element).cursor === "pointer";
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Watch the DOM only while dead click candidates are pending
+   */
+  startObserving() {
+    if (this.observer || typeof MutationObserver === "undefined") return;
+
+    this.observer = new MutationObserver(() => {
+      this.lastMutationAt = Date.now();
+    });
+    this.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      characterData: true,
+    });
+  }
+
+  stopObserving() {
+    if (!this.observer) return;
+
+    this.observer.disconnect();
+    this.observer = null;
+  }
+
+  /**
+   * A reported JavaScript error shortly after a click
+   * @param {object} error - Error reported by ErrorTracker, or caught by
+   *   listenForErrors()
+   */
+  observeError(error) {
+    if (error.handled || !this.lastClick) return;
+    if (Date.now() - this.lastClick.time > this.config.errorClickWindow) return;
+
+    this.emit("error_click", {
+      ...this.lastClick.click,
+      error: {
+        kind: error.kind,
+        name: error.name,
+        message: error.message,
+        fingerprint: error.fingerprint,
+      },
+    });
+  }
+
+  emit(type, signal) {
+    if (!this.config.onSignal) return;
+
+    try {
+      this.config.onSignal(type, signal);
+    } catch (error) {
+      console.error(`StandLog: Failed to report ${type}`, error);
+    }
+  }
+
+  destroy() {
+    this.stopObserving();
+    this.stopListeningForErrors();
+    this.pendingDeadClicks = [];
+    this.recentClicks = [];
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FrustrationDetector;
+} else {
+  window.FrustrationDetector = FrustrationDetector;
+}
@@ -0,0 +1,362 @@
+/**
+ * StandLog Analytics - Impressions Module
+ * Whether, when and for how long elements were actually in view
+ */
+
+class ImpressionTracker {
+  static ATTRIBUTE = "data-standlog-impression";
+
+  constructor(config = {}) {
+    this.config = {
+      selectors: [], // Elements to watch besides [data-standlog-impression]
+      threshold: 0.5, // Share of the element in view to count as visible
+      minVisibleTime: 1000, // ms visible before an impression counts
+      isIgnored: null, // (element) => boolean
+      onImpression: null, // (impression, element) => void
+      ...config,
+    };
+
+    this.records = new Map(); // element -> visibility record
+    this.pageStart = Date.now();
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+    this.started = false;
+
+    this.handleVisibilityChange = () => this.onVisibilityChange();
+    this.handleRouteChange = () => {
+      this.flush("route");
+      this.reset();
+    };
+  }
+
+  /**
+   * Start watching configured and data-standlog-impression elements
+   */
+  start() {
+    if (this.started || typeof IntersectionObserver === "undefined") return;
+    this.started = true;
+
+    // Steps of 10% for the share in view, plus the configured threshold
+    const thresholds = Array.from({ length: 11 }, (_, i) => i / 10);
+    if (!thresholds.includes(this.config.threshold)) {
+      thresholds.push(this.config.threshold);
+    }
+
+    this.intersectionObserver = new IntersectionObserver(
+      (entries) => entries.forEach((entry) => this.onIntersection(entry)),
+      { threshold: thresholds.sort((a, b) => a - b) }
+    );
+
+    if (typeof MutationObserver !== "undefined") {
+      this.mutationObserver = new MutationObserver((mutations) =>
+        mutations.forEach((mutation) => this.onMutation(mutation))
+      );
+      this.mutationObserver.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: [ImpressionTracker.ATTRIBUTE],
+      });
+    }
+
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
+    window.addEventListener("standlog_route_change", this.handleRouteChange);
+
+    this.scan(document.documentElement);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    this.records.forEach((record) => this.pause(record));
+    this.intersectionObserver.disconnect();
+    this.mutationObserver?.disconnect();
+    this.intersectionObserver = null;
+    this.mutationObserver = null;
+
+    document.removeEventListener(
+      "visibilitychange",
+      this.handleVisibilityChange
+    );
+    window.removeEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  /**
+   * Impression name: the attribute value, or the configured selector matched
+   */
+  getName(element) {
+    const value = element.getAttribute(ImpressionTracker.ATTRIBUTE)?.trim();
+    if (value) return value;
+
+    return (
+      this.config.selectors.find((selector) => {
+        try {
+          return element.matches(selector);
+        } catch (e) {
+          return false; // Invalid selector
+        }
+      }) || null
+    );
+  }
+
+  // ===================
+  // OBSERVING
+  // ===================
+
+  /**
+   * Watch matching elements in a subtree
+   */
+  scan(root) {
+    const selector = [
+      `[${ImpressionTracker.ATTRIBUTE}]`,
+      ...this.config.selectors,
+    ].join(",");
+
+    let elements;
+    try {
+      elements = Array.from(root.querySelectorAll?.(selector) || []);
+      if (root.matches?.(selector)) elements.unshift(root);
+    } catch (e) {
+      console.error("StandLog: Invalid impression selector", e);
+      return;
+    }
+
+    elements.forEach((element) => this.observe(element));
+  }
+
+  observe(element) {
+    if (!this.intersectionObserver || this.records.has(element)) return;
+    if (this.config.isIgnored && this.config.isIgnored(element)) return;
+
+    const name = this.getName(element);
+    if (!name) return;
+
+    this.records.set(element, {
+      id: `imp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name,
+      element,
+      ratio: 0, // Share of the element in view
+      coverage: 0, // Share of the viewport it fills
+      maxRatio: 0,
+      firstSeenAt: null,
+      visibleSince: null,
+      visibleTime: 0,
+      exposures: 0,
+      timer: null,
+      reported: false,
+      reportedTime: 0, // visibleTime at the last report
+    });
+    this.intersectionObserver.observe(element);
+  }
+
+  unobserve(element) {
+    const record = this.records.get(element);
+    if (!record) return;
+
+    // Keep reported records until the next flush, drop the rest
+    this.pause(record);
+    this.intersectionObserver?.unobserve(element);
+    if (!record.reported) this.records.delete(element);
+  }
+
+  onMutation(mutation) {
+    if (mutation.type === "attributes") {
+      const element = mutation.target;
+      if (this.getName(element)) {
+        this.observe(element);
+      } else {
+        this.unobserve(element);
+      }
+      return;
+    }
+
+    mutation.addedNodes.forEach((node) => {
+      if (node.nodeType === 1) this.scan(node);
+    });
+    mutation.removedNodes.forEach((node) => {
+      if (node.nodeType !== 1) return;
+      this.records.forEach((record, element) => {
+        if (node === element || node.contains(element)) {
+          this.unobserve(element);
+        }
+      });
+    });
+  }
+
+  // ===================
+  // VISIBILITY
+  // ===================
+
+  onIntersection(entry) {
+    const record = this.records.get(entry.target);
+    if (!record) return;
+
+    record.ratio = entry.isIntersecting ? entry.intersectionRatio : 0;
+    record.coverage = entry.isIntersecting ? this.getCoverage(entry) : 0;
+    record.maxRatio = Math.max(record.maxRatio, record.ratio);
+
+    if (this.isVisible(record)) {
+      this.resume(record);
+    } else {
+      this.pause(record);
+    }
+  }
+
+  /**
+   * Elements taller than the viewport can never be fully in view, so filling
+   * the viewport counts as well
+   */
+  isVisible(record) {
+    const share = Math.max(record.ratio, record.coverage);
+    return (
+      share > 0 &&
+      share >= this.config.threshold &&
+      document.visibilityState !== "hidden"
+    );
+  }
+
+  getCoverage(entry) {
+    const root = entry.rootBounds || {
+      width: window.innerWidth,
+      height: window.innerHeight,
+    };
+    const area = root.width * root.height;
+    if (!area) return 0;
+
+    const rect = entry.intersectionRect;
+    return (rect.width * rect.height) / area;
+  }
+
+  /**
+   * Start timing a visible element; it counts once it stays long enough
+   */
+  resume(record) {
+    if (record.visibleSince !== null) return;
+
+    const now = Date.now();
+    record.visibleSince = now;
+    record.firstSeenAt = record.firstSeenAt ?? now;
+    record.exposures++;
+
+    if (!record.reported) {
+      record.timer = setTimeout(
+        () => this.qualify(record),
+        Math.max(0, this.config.minVisibleTime - record.visibleTime)
+      );
+    }
+  }
+
+  pause(record) {
+    clearTimeout(record.timer);
+    record.timer = null;
+    if (record.visibleSince === null) return;
+
+    record.visibleTime += Date.now() - record.visibleSince;
+    record.visibleSince = null;
+  }
+
+  qualify(record) {
+    record.timer = null;
+    record.reported = true;
+    this.report(record, "seen");
+  }
+
+  /**
+   * Tabs in the background don't count as visible time
+   */
+  onVisibilityChange() {
+    if (document.visibilityState === "hidden") {
+      this.records.forEach((record) => this.pause(record));
+      return;
+    }
+
+    this.records.forEach((record) => {
+      if (this.isVisible(record)) this.resume(record);
+    });
+  }
+
+  // ===================
+  // REPORTING
+  // ===================
+
+  /**
+   * Report visible time gained since the last report of each impression
+   * @param {string} reason - 'hidden', 'route', 'pagehide' or 'manual'
+   */
+  flush(reason = "manual") {
+    this.records.forEach((record) => {
+      if (!record.reported) return;
+      if (this.getVisibleTime(record) > record.reportedTime) {
+        this.report(record, reason);
+      }
+    });
+  }
+
+  report(record, reason) {
+    const impression = this.getImpression(record, reason);
+    record.reportedTime = impression.visibleTime;
+
+    if (!this.config.onImpression) return;
+    try {
+      this.config.onImpression(impression, record.element);
+    } catch (error) {
+      console.error(
+        `StandLog: Failed to report impression ${record.name}`,
+        error
+      );
+    }
+  }
+
+  getVisibleTime(record) {
+    const running =
+      record.visibleSince !== null ? Date.now() - record.visibleSince : 0;
+    return record.visibleTime + running;
+  }
+
+  /**
+   * Snapshot of an impression; reason 'seen' marks the first report
+   */
+  getImpression(record, reason) {
+    return {
+      id: record.id,
+      name: record.name,
+      reason,
+      firstSeenAt: record.firstSeenAt,
+      timeToFirstSeen: record.firstSeenAt - this.pageStart,
+      visibleTime: this.getVisibleTime(record),
+      percentInView: Math.round(record.maxRatio * 100),
+      exposures: record.exposures,
+    };
+  }
+
+  /**
+   * Impressions reported on the current page
+   */
+  getImpressions() {
+    return Array.from(this.records.values())
+      .filter((record) => record.reported)
+      .map((record) => this.getImpression(record, "manual"));
+  }
+
+  /**
+   * Start over for a new page; elements still in the DOM are watched again
+   */
+  reset() {
+    this.records.forEach((record, element) => {
+      this.pause(record);
+      this.intersectionObserver?.unobserve(element);
+    });
+    this.records.clear();
+    this.pageStart = Date.now();
+
+    if (this.started) this.scan(document.documentElement);
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ImpressionTracker;
+} else {
+  window.ImpressionTracker = ImpressionTracker;
+}
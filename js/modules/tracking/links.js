@@ -0,0 +1,204 @@
+/**
+ * StandLog Analytics - Links Module
+ * Outbound link, file download, mailto and tel clicks as typed events
+ */
+
+class LinkTracker {
+  static TYPES = ["outbound", "download", "mailto", "tel"];
+  static ATTRIBUTE = "data-standlog-link"; // "off" opts out, a type forces it
+
+  static DOWNLOAD_EXTENSIONS = [
+    "pdf",
+    "zip",
+    "rar",
+    "7z",
+    "gz",
+    "tar",
+    "dmg",
+    "exe",
+    "msi",
+    "pkg",
+    "apk",
+    "csv",
+    "xls",
+    "xlsx",
+    "doc",
+    "docx",
+    "ppt",
+    "pptx",
+    "txt",
+    "rtf",
+    "odt",
+    "ods",
+    "epub",
+    "mp3",
+    "mp4",
+    "mov",
+    "wav",
+    "iso",
+  ];
+
+  constructor(config = {}) {
+    this.config = {
+      types: LinkTracker.TYPES, // Link types to record
+      downloadExtensions: LinkTracker.DOWNLOAD_EXTENSIONS,
+      internalDomains: [], // Other domains of the site; subdomains match too
+      isIgnored: null, // (element) => boolean
+      onLink: null, // (type, link, element) => void
+      ...config,
+    };
+
+    this.started = false;
+
+    this.handleClick = (e) => this.onClick(e);
+    this.handleAuxClick = (e) => {
+      if (e.button === 1) this.onClick(e); // Middle click opens a new tab
+    };
+  }
+
+  /**
+   * Listen for link clicks, delegated from the document
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    document.addEventListener("click", this.handleClick, true);
+    document.addEventListener("auxclick", this.handleAuxClick, true);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    document.removeEventListener("click", this.handleClick, true);
+    document.removeEventListener("auxclick", this.handleAuxClick, true);
+  }
+
+  onClick(e) {
+    const element = e.target?.closest?.("a[href], area[href]");
+    if (!element) return;
+    if (this.config.isIgnored && this.config.isIgnored(element)) return;
+
+    const link = this.classify(element);
+    if (!link || !this.config.types.includes(link.type)) return;
+
+    link.newTab =
+      element.target === "_blank" ||
+      e.type === "auxclick" ||
+      e.ctrlKey ||
+      e.metaKey ||
+      e.shiftKey;
+
+    if (!this.config.onLink) return;
+    try {
+      const { type, ...details } = link;
+      this.config.onLink(type, details, element);
+    } catch (error) {
+      console.error("StandLog: Failed to track link click", error);
+    }
+  }
+
+  // ===================
+  // CLASSIFICATION
+  // ===================
+
+  /**
+   * Type and destination of a link, or null for ordinary internal links
+   * @returns {object|null} { type, url, domain, ... }
+   */
+  classify(element) {
+    const override = element
+      .getAttribute(LinkTracker.ATTRIBUTE)
+      ?.trim()
+      .toLowerCase();
+    if (override === "off" || override === "false") return null;
+
+    let url;
+    try {
+      url = new URL(element.href, window.location.href);
+    } catch (e) {
+      return null;
+    }
+
+    if (url.protocol === "mailto:") {
+      // Only the domain of the address; the rest is left to redaction
+      const address = this.decode(url.pathname).split(",")[0];
+      return {
+        type: "mailto",
+        url: url.href,
+        domain: address.includes("@") ? address.split("@").pop() : null,
+      };
+    }
+
+    if (url.protocol === "tel:") {
+      return { type: "tel", url: url.href };
+    }
+
+    if (!/^https?:$/.test(url.protocol)) return null;
+
+    const external = !this.isInternal(url.hostname);
+    const extension = this.getExtension(url.pathname);
+    const destination = {
+      url: url.href,
+      domain: url.hostname,
+      path: url.pathname,
+    };
+
+    if (
+      override === "download" ||
+      element.hasAttribute("download") ||
+      (extension && this.config.downloadExtensions.includes(extension))
+    ) {
+      return {
+        type: "download",
+        ...destination,
+        fileName:
+          element.getAttribute("download") ||
+          this.decode(url.pathname.split("/").pop()) ||
+          null,
+        extension,
+        external,
+      };
+    }
+
+    if (override === "outbound" || external) {
+      return { type: "outbound", ...destination };
+    }
+
+    return null;
+  }
+
+  decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  getExtension(pathname) {
+    const match = /\.([a-z0-9]+)$/i.exec(pathname);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  isInternal(hostname) {
+    const host = hostname.replace(/^www\./, "").toLowerCase();
+    const own = window.location.hostname.replace(/^www\./, "").toLowerCase();
+
+    return (
+      host === own ||
+      this.config.internalDomains.some((domain) => {
+        const internal = domain.toLowerCase().replace(/^\./, "");
+        return host === internal || host.endsWith(`.${internal}`);
+      })
+    );
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LinkTracker;
+} else {
+  window.LinkTracker = LinkTracker;
+}
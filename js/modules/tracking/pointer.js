@@ -0,0 +1,255 @@
+/**
+ * StandLog Analytics - Pointer Module
+ * Sampled pointer movement and hover dwell time per page, for move and
+ * attention heatmaps
+ */
+
+class PointerTracker {
+  constructor(config = {}) {
+    this.config = {
+      interval: 100, // ms between pointer samples while moving
+      gridSize: 20, // px per grid cell, in page coordinates
+      idleTimeout: 5000, // Dwell stops counting after this long without moving
+      maxElements: 20, // Hovered elements reported per page, by dwell time
+      isIgnored: null, // (element) => boolean
+      getSelector: null, // (element) => string
+      onReport: null, // (report) => void
+      ...config,
+    };
+
+    this.page = null;
+    this.last = null; // { cell, selector, time } of the latest sample
+    this.timer = null;
+    this.pending = null;
+    this.hidden = false;
+    this.started = false;
+
+    this.handlePointerMove = (e) => this.onPointerMove(e);
+    this.handlePointerLeave = () => {
+      this.settle();
+      this.last = null; // Left the window
+    };
+    this.handleVisibilityChange = () => {
+      this.settle();
+      this.hidden = document.visibilityState === "hidden";
+    };
+    this.handleRouteChange = (e) => {
+      this.flush("route");
+      this.reset(e.detail.url);
+    };
+  }
+
+  /**
+   * Start sampling the pointer on the current page
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.reset(window.location.href);
+    this.hidden = document.visibilityState === "hidden";
+
+    document.addEventListener("pointermove", this.handlePointerMove, {
+      passive: true,
+    });
+    document.documentElement.addEventListener(
+      "pointerleave",
+      this.handlePointerLeave
+    );
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
+    window.addEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    document.removeEventListener("pointermove", this.handlePointerMove);
+    document.documentElement.removeEventListener(
+      "pointerleave",
+      this.handlePointerLeave
+    );
+    document.removeEventListener(
+      "visibilitychange",
+      this.handleVisibilityChange
+    );
+    window.removeEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  reset(url) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending = null;
+    this.last = null;
+
+    this.page = {
+      id: `pointer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      url,
+      moves: new Map(), // "col,row" -> samples
+      dwell: new Map(), // "col,row" -> ms
+      elements: new Map(), // selector -> ms
+      samples: 0,
+      dirty: false,
+    };
+  }
+
+  /**
+   * Sample at most once per interval, always keeping the latest position
+   */
+  onPointerMove(e) {
+    // Touch moves are scrolls and drags, not attention
+    if (e.pointerType && e.pointerType !== "mouse" && e.pointerType !== "pen") {
+      return;
+    }
+
+    this.pending = {
+      x: e.clientX + window.scrollX,
+      y: e.clientY + window.scrollY,
+      target: e.target,
+    };
+    if (this.timer) return;
+
+    this.sample();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this.pending) this.sample();
+    }, this.config.interval);
+  }
+
+  sample() {
+    const { x, y, target } = this.pending;
+    this.pending = null;
+
+    this.settle();
+    if (this.config.isIgnored && this.config.isIgnored(target)) {
+      this.last = null;
+      return;
+    }
+
+    const { gridSize } = this.config;
+    const cell = `${Math.floor(x / gridSize)},${Math.floor(y / gridSize)}`;
+    this.page.moves.set(cell, (this.page.moves.get(cell) || 0) + 1);
+    this.page.samples++;
+    this.page.dirty = true;
+
+    this.last = {
+      cell,
+      selector: this.getSelector(target),
+      time: Date.now(),
+    };
+  }
+
+  /**
+   * Credit the time since the last sample to where the pointer rested
+   */
+  settle() {
+    if (!this.last) return;
+
+    const now = Date.now();
+    const idle = now - this.last.time;
+    const { cell, selector } = this.last;
+
+    // Past the idle timeout the visitor is likely no longer there
+    if (idle >= this.config.idleTimeout) this.last = null;
+    else this.last.time = now;
+
+    // Time in a background tab is not attention
+    const elapsed = Math.min(idle, this.config.idleTimeout);
+    if (elapsed <= 0 || this.hidden) return;
+
+    this.page.dwell.set(cell, (this.page.dwell.get(cell) || 0) + elapsed);
+    if (selector) {
+      this.page.elements.set(
+        selector,
+        (this.page.elements.get(selector) || 0) + elapsed
+      );
+    }
+    this.page.dirty = true;
+  }
+
+  getSelector(element) {
+    if (!element || element.nodeType !== 1 || !this.config.getSelector) {
+      return null;
+    }
+
+    try {
+      return this.config.getSelector(element);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Report the current page if anything changed since the last report
+   * @param {string} reason - 'hidden', 'route', 'pagehide' or 'manual'
+   */
+  flush(reason = "manual") {
+    if (!this.page) return null;
+
+    this.settle();
+    if (!this.page.dirty) return null;
+    this.page.dirty = false;
+
+    const report = this.getReport(reason);
+    this.emit(report);
+    return report;
+  }
+
+  /**
+   * Snapshot of the current page; later reports of a page replace earlier
+   * ones with the same id
+   */
+  getReport(reason = "manual") {
+    const page = this.page;
+    const cells = (map) =>
+      Array.from(map, ([cell, value]) => [
+        ...cell.split(",").map(Number),
+        Math.round(value),
+      ]);
+
+    return {
+      id: page.id,
+      url: page.url,
+      reason,
+      gridSize: this.config.gridSize,
+      pageWidth: document.documentElement.scrollWidth,
+      pageHeight: Math.max(
+        document.documentElement.scrollHeight,
+        document.body ? document.body.scrollHeight : 0
+      ),
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+      },
+      samples: page.samples,
+      moves: cells(page.moves), // [column, row, samples]
+      dwell: cells(page.dwell), // [column, row, ms]
+      elements: Array.from(page.elements, ([selector, dwell]) => ({
+        selector,
+        dwell: Math.round(dwell),
+      }))
+        .sort((a, b) => b.dwell - a.dwell)
+        .slice(0, this.config.maxElements),
+    };
+  }
+
+  emit(report) {
+    if (!this.config.onReport) return;
+
+    try {
+      this.config.onReport(report);
+    } catch (error) {
+      console.error("StandLog: Failed to report pointer movement", error);
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PointerTracker;
+} else {
+  window.PointerTracker = PointerTracker;
+}
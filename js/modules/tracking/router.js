@@ -0,0 +1,126 @@
+/**
+ * StandLog Analytics - Route Tracking Module
+ * Virtual pageviews for single-page apps (History API and hash routing)
+ */
+
+class RouteTracker {
+  constructor(config = {}) {
+    this.config = {
+      trackHash: true, // Treat #fragment changes as route changes
+      onRouteChange: null,
+      ...config,
+    };
+
+    this.currentUrl = window.location.href;
+    this.routeStartTime = Date.now();
+    this.started = false;
+    this.originalPushState = null;
+    this.originalReplaceState = null;
+
+    this.handlePopState = () => this.scheduleChange("popstate");
+    this.handleHashChange = () => this.scheduleChange("hashchange");
+  }
+
+  /**
+   * Start listening for automatic route changes
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.originalPushState = history.pushState;
+    this.originalReplaceState = history.replaceState;
+
+    const tracker = this;
+    history.pushState = function (...args) {
+      const result = tracker.originalPushState.apply(this, args);
+      tracker.scheduleChange("pushState");
+      return result;
+    };
+    history.replaceState = function (...args) {
+      const result = tracker.originalReplaceState.apply(this, args);
+      tracker.scheduleChange("replaceState");
+      return result;
+    };
+
+    window.addEventListener("popstate", this.handlePopState);
+    window.addEventListener("hashchange", this.handleHashChange);
+  }
+
+  /**
+   * Stop listening and restore the original History API
+   */
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    history.pushState = this.originalPushState;
+    history.replaceState = this.originalReplaceState;
+
+    window.removeEventListener("popstate", this.handlePopState);
+    window.removeEventListener("hashchange", this.handleHashChange);
+  }
+
+  /**
+   * Defer handling so routers can update document.title first
+   */
+  scheduleChange(source) {
+    setTimeout(() => this.handleChange(window.location.href, null, source), 0);
+  }
+
+  /**
+   * Record a manual route change (custom routers)
+   */
+  navigate(url, title) {
+    const absoluteUrl = new URL(
+      url || window.location.href,
+      window.location.href
+    ).href;
+    return this.handleChange(absoluteUrl, title, "manual", true);
+  }
+
+  /**
+   * Emit a route change if the URL actually changed
+   */
+  handleChange(url, title, source, force = false) {
+    if (!force && !this.isNewRoute(url)) return null;
+
+    const now = Date.now();
+    const change = {
+      url,
+      title: title || document.title,
+      previousUrl: this.currentUrl,
+      timeOnPreviousRoute: now - this.routeStartTime,
+      source,
+      timestamp: now,
+    };
+
+    this.currentUrl = url;
+    this.routeStartTime = now;
+
+    window.dispatchEvent(
+      new CustomEvent("standlog_route_change", { detail: change })
+    );
+
+    if (this.config.onRouteChange) {
+      this.config.onRouteChange(change);
+    }
+
+    return change;
+  }
+
+  /**
+   * Compare URLs, ignoring the hash unless hash routing is tracked
+   */
+  isNewRoute(url) {
+    if (this.config.trackHash) return url !== this.currentUrl;
+    return url.split("#")[0] !== this.currentUrl.split("#")[0];
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RouteTracker;
+} else {
+  window.RouteTracker = RouteTracker;
+}
@@ -0,0 +1,252 @@
+/**
+ * StandLog Analytics - Scroll Depth Module
+ * Max depth, milestones, fold position and time in view per depth band
+ */
+
+class ScrollTracker {
+  constructor(config = {}) {
+    this.config = {
+      milestones: [25, 50, 75, 90, 100], // % of the page height
+      bandSize: 10, // % of the page height per depth band
+      interval: 100, // ms between position samples while scrolling
+      onMilestone: null, // (milestone) => void
+      onReport: null, // (report) => void
+      ...config,
+    };
+
+    this.page = null;
+    this.timer = null;
+    this.started = false;
+
+    this.handleScroll = () => this.schedule();
+    this.handleResize = () => this.schedule();
+    this.handleVisibilityChange = () => {
+      this.update(false);
+    };
+    this.handleRouteChange = (e) => {
+      this.flush("route");
+      this.reset(e.detail.url);
+    };
+  }
+
+  /**
+   * Start measuring the current page
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.reset(window.location.href);
+
+    window.addEventListener("scroll", this.handleScroll, { passive: true });
+    window.addEventListener("resize", this.handleResize);
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
+    window.addEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    window.removeEventListener("scroll", this.handleScroll);
+    window.removeEventListener("resize", this.handleResize);
+    document.removeEventListener(
+      "visibilitychange",
+      this.handleVisibilityChange
+    );
+    window.removeEventListener("standlog_route_change", this.handleRouteChange);
+  }
+
+  /**
+   * Begin measuring a page; what is in view on arrival is above the fold
+   */
+  reset(url) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const position = this.getPosition();
+    const bandCount = Math.ceil(100 / this.config.bandSize);
+
+    this.page = {
+      id: `scroll_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      url,
+      startTime: Date.now(),
+      lastTime: Date.now(),
+      position,
+      maxDepth: position.depth,
+      maxY: position.bottom,
+      fold: {
+        y: position.viewportHeight,
+        depth: position.depth,
+      },
+      bands: new Array(bandCount).fill(0), // ms each band was in view
+      milestones: [], // Reached after the visitor started scrolling
+      scrolled: false,
+      hidden: document.visibilityState === "hidden",
+      dirty: true,
+    };
+  }
+
+  /**
+   * Sample the position at most once per interval while scrolling
+   */
+  schedule() {
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.update(true);
+    }, this.config.interval);
+  }
+
+  /**
+   * Credit time in view to the bands seen since the last sample, then move on
+   * @param {boolean} scrolled - Whether the visitor moved the page
+   */
+  update(scrolled) {
+    if (!this.page) return;
+
+    const now = Date.now();
+    const previous = this.page.position;
+
+    // Background tabs don't add time in view
+    if (!this.page.hidden) {
+      this.addTime(previous, now - this.page.lastTime);
+    }
+    this.page.lastTime = now;
+    this.page.hidden = document.visibilityState === "hidden";
+
+    const position = this.getPosition();
+    this.page.position = position;
+    if (position.bottom > this.page.maxY) {
+      this.page.maxDepth = Math.max(this.page.maxDepth, position.depth);
+      this.page.maxY = position.bottom;
+      this.page.dirty = true;
+    }
+
+    if (scrolled && position.top !== previous.top) this.page.scrolled = true;
+    if (this.page.scrolled) this.checkMilestones();
+  }
+
+  addTime(position, elapsed) {
+    if (elapsed <= 0 || !position.height) return;
+
+    const { bandSize } = this.config;
+    const top = (position.top / position.height) * 100;
+
+    this.page.bands.forEach((time, index) => {
+      const start = index * bandSize;
+      const end = start + bandSize;
+      if (end > top && start < position.depth) {
+        this.page.bands[index] = time + elapsed;
+        this.page.dirty = true;
+      }
+    });
+  }
+
+  checkMilestones() {
+    this.config.milestones.forEach((milestone) => {
+      if (
+        this.page.maxDepth < milestone ||
+        this.page.milestones.includes(milestone)
+      ) {
+        return;
+      }
+
+      this.page.milestones.push(milestone);
+      this.emit("onMilestone", {
+        id: this.page.id,
+        milestone,
+        depth: Math.round(this.page.maxDepth),
+        timeToMilestone: Date.now() - this.page.startTime,
+      });
+    });
+  }
+
+  /**
+   * Current viewport in page coordinates; depth is how far down the page the
+   * bottom of the viewport reaches, in %
+   */
+  getPosition() {
+    const root = document.documentElement;
+    const height = Math.max(
+      root.scrollHeight,
+      document.body ? document.body.scrollHeight : 0
+    );
+    const viewportHeight = window.innerHeight;
+    const top = window.scrollY;
+    const bottom = Math.min(height, top + viewportHeight);
+
+    return {
+      top,
+      bottom,
+      height,
+      viewportHeight,
+      depth: height > 0 ? Math.min(100, (bottom / height) * 100) : 100,
+    };
+  }
+
+  /**
+   * Report the current page if anything changed since the last report
+   * @param {string} reason - 'hidden', 'route', 'pagehide' or 'manual'
+   */
+  flush(reason = "manual") {
+    if (!this.page) return null;
+
+    this.update(false);
+    if (!this.page.dirty) return null;
+    this.page.dirty = false;
+
+    const report = this.getReport(reason);
+    this.emit("onReport", report);
+    return report;
+  }
+
+  /**
+   * Snapshot of the current page; later reports of a page replace earlier
+   * ones with the same id
+   */
+  getReport(reason = "manual") {
+    const page = this.page;
+
+    return {
+      id: page.id,
+      url: page.url,
+      reason,
+      maxDepth: Math.round(page.maxDepth),
+      maxY: Math.round(page.maxY),
+      pageHeight: page.position.height,
+      viewport: {
+        width: window.innerWidth,
+        height: page.position.viewportHeight,
+      },
+      fold: {
+        y: page.fold.y,
+        depth: Math.round(page.fold.depth),
+      },
+      bandSize: this.config.bandSize,
+      bands: page.bands.map(Math.round),
+      milestones: [...page.milestones],
+    };
+  }
+
+  emit(callback, data) {
+    if (!this.config[callback]) return;
+
+    try {
+      this.config[callback](data);
+    } catch (error) {
+      console.error("StandLog: Failed to report scroll depth", error);
+    }
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ScrollTracker;
+} else {
+  window.ScrollTracker = ScrollTracker;
+}
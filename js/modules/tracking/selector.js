@@ -0,0 +1,414 @@
+/**
+ * StandLog Analytics - Selector Module
+ * Stable, unique CSS selectors, XPath and ancestry chains for elements
+ */
+
+class SelectorGenerator {
+  // Generated by CSS-in-JS, CSS modules and frameworks, or toggled by state
+  static DYNAMIC_CLASS_PATTERNS = [
+    /^css-/, // Emotion
+    /^sc-/, // styled-components
+    /^jsx-\d+/, // styled-jsx
+    /^svelte-/,
+    /^ng-/, // Angular state classes
+    /__[\w-]{5,}$/, // CSS modules: Button_primary__3xK9a
+    /\d{3,}/,
+    /^(is-|has-)?(active|current|focus|focused|hover|selected|open|visible|hidden|disabled|loading)$/,
+  ];
+
+  static DYNAMIC_ID_PATTERNS = [
+    /\d{3,}/,
+    /^:r/, // React useId
+    /[0-9a-f]{8}-[0-9a-f]{4}-/i, // UUID
+    /^(ember|react-|mui-|radix-|headlessui-)/,
+  ];
+
+  constructor(config = {}) {
+    this.config = {
+      preferredAttributes: [
+        "data-testid",
+        "data-standlog-id",
+        "name",
+        "aria-label",
+      ],
+      ancestryAttributes: ["type", "role"], // Stored in addition to preferred
+      ignoreClasses: [], // Extra dynamic class patterns (RegExp or string)
+      ignoreIds: [], // Extra dynamic ID patterns
+      maxClasses: 2, // Classes per path segment
+      // Ancestors kept in ancestry chains; stored events cannot match a
+      // selector that needs an ancestor beyond this depth
+      maxDepth: 15,
+      ...config,
+    };
+  }
+
+  /**
+   * Shortest unique selector, from stable anchors (IDs, test IDs) down
+   * @param {Element} element
+   * @returns {string}
+   */
+  getSelector(element) {
+    if (!element || element.nodeType !== 1) return "";
+
+    const path = [];
+    for (let current = element; current; current = current.parentElement) {
+      path.unshift(this.getAnchor(current) || this.getSegment(current));
+
+      const selector = path.join(" > ");
+      if (this.isUnique(selector, element)) return selector;
+      if (current.tagName.toLowerCase() === "body") break;
+    }
+
+    // Anchors shared with other elements: fall back to positions only
+    const positions = [];
+    for (let current = element; current; current = current.parentElement) {
+      positions.unshift(this.getSegment(current));
+      if (current.tagName.toLowerCase() === "body") break;
+    }
+    return positions.join(" > ");
+  }
+
+  /**
+   * A stable ID or preferred attribute that can start a selector
+   */
+  getAnchor(element) {
+    if (element.id && !this.isDynamicId(element.id)) {
+      return `#${this.escape(element.id)}`;
+    }
+
+    const tag = element.tagName.toLowerCase();
+    for (const name of this.config.preferredAttributes) {
+      const value = element.getAttribute(name);
+      if (value) return `${tag}[${name}="${this.escapeValue(value)}"]`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Tag, stable classes and position among same-tag siblings
+   */
+  getSegment(element) {
+    const tag = element.tagName.toLowerCase();
+    if (tag === "html" || tag === "body") return tag;
+
+    const classes = this.getStableClasses(element)
+      .slice(0, this.config.maxClasses)
+      .map((name) => `.${this.escape(name)}`)
+      .join("");
+
+    const siblings = element.parentElement
+      ? Array.from(element.parentElement.children).filter(
+          (sibling) => sibling.tagName === element.tagName
+        )
+      : [];
+
+    const nth =
+      siblings.length > 1
+        ? `:nth-of-type(${siblings.indexOf(element) + 1})`
+        : "";
+
+    return `${tag}${classes}${nth}`;
+  }
+
+  isUnique(selector, element) {
+    try {
+      const matches = element.ownerDocument.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * XPath, anchored at the nearest stable ID
+   */
+  getXPath(element) {
+    if (!element || element.nodeType !== 1) return "";
+
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === 1) {
+      if (current.id && !this.isDynamicId(current.id)) {
+        parts.unshift(`//*[@id="${current.id.replace(/"/g, "")}"]`);
+        return parts.join("/");
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(
+            (sibling) => sibling.tagName === current.tagName
+          )
+        : [current];
+      parts.unshift(
+        siblings.length > 1 ? `${tag}[${siblings.indexOf(current) + 1}]` : tag
+      );
+      current = current.parentElement;
+    }
+
+    return `/${parts.join("/")}`;
+  }
+
+  /**
+   * Element and ancestors as plain data, so selectors can be matched later
+   * without the live DOM
+   */
+  getAncestry(element) {
+    const chain = [];
+    let current = element;
+
+    while (
+      current &&
+      current.nodeType === 1 &&
+      chain.length <= this.config.maxDepth
+    ) {
+      const attributes = {};
+      [
+        ...this.config.preferredAttributes,
+        ...this.config.ancestryAttributes,
+      ].forEach((name) => {
+        const value = current.getAttribute(name);
+        if (value !== null) attributes[name] = value;
+      });
+
+      const siblings = current.parentElement
+        ? Array.from(current.parentElement.children).filter(
+            (sibling) => sibling.tagName === current.tagName
+          )
+        : [current];
+
+      chain.push({
+        tagName: current.tagName.toLowerCase(),
+        id: current.id || "",
+        classes: this.getClasses(current),
+        attributes,
+        nthOfType: siblings.indexOf(current) + 1,
+      });
+
+      current = current.parentElement;
+    }
+
+    return chain;
+  }
+
+  getClasses(element) {
+    const className =
+      typeof element.className === "string"
+        ? element.className
+        : element.getAttribute("class") || ""; // SVG elements
+    return className.split(/\s+/).filter(Boolean);
+  }
+
+  getStableClasses(element) {
+    return this.getClasses(element).filter(
+      (name) =>
+        !this.matchesAny(name, [
+          ...SelectorGenerator.DYNAMIC_CLASS_PATTERNS,
+          ...this.config.ignoreClasses,
+        ])
+    );
+  }
+
+  isDynamicId(id) {
+    return this.matchesAny(id, [
+      ...SelectorGenerator.DYNAMIC_ID_PATTERNS,
+      ...this.config.ignoreIds,
+    ]);
+  }
+
+  matchesAny(value, patterns) {
+    return patterns.some((pattern) =>
+      pattern instanceof RegExp ? pattern.test(value) : value === pattern
+    );
+  }
+
+  escape(value) {
+    if (typeof CSS !== "undefined" && CSS.escape) return CSS.escape(value);
+    return value.replace(/([^\w-])/g, "\\$1");
+  }
+
+  escapeValue(value) {
+    return value.replace(/["\\]/g, "\\$&");
+  }
+
+  // ===================
+  // MATCHING
+  // ===================
+
+  /**
+   * Match a selector against a live element or a stored ancestry chain
+   * @param {Element|Array} target - Element, or ancestry from getAncestry()
+   * @param {string} selector - CSS selector
+   */
+  static matches(target, selector) {
+    if (!target || !selector) return false;
+
+    if (typeof target.matches === "function") {
+      try {
+        return target.matches(selector);
+      } catch (e) {
+        return false; // Invalid selector
+      }
+    }
+
+    if (!Array.isArray(target) || target.length === 0) return false;
+
+    try {
+      return SelectorGenerator.splitList(selector).some((complex) =>
+        SelectorGenerator.matchesChain(target, SelectorGenerator.parse(complex))
+      );
+    } catch (e) {
+      return false; // Syntax the chain matcher doesn't support
+    }
+  }
+
+  /**
+   * Split a selector list on top-level commas
+   */
+  static splitList(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = "";
+
+    for (const char of selector) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "[" || char === "(") {
+        depth++;
+      } else if (char === "]" || char === ")") {
+        depth--;
+      } else if (char === "," && depth === 0) {
+        parts.push(current.trim());
+        current = "";
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current.trim());
+
+    return parts.filter(Boolean);
+  }
+
+  /**
+   * Parse a complex selector into compounds, right-most first
+   * Supports tag, *, #id, .class, [attr], [attr=v|^=|$=|*=|~=], :nth-of-type(n)
+   * and the descendant and child combinators
+   */
+  static parse(selector) {
+    const token =
+      /\s*(>)\s*|\s+|([a-zA-Z][\w-]*|\*)|#((?:\\.|[\w-])+)|\.((?:\\.|[\w-])+)|\[\s*([\w-]+)\s*(?:([~^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]|:nth-of-type\(\s*(\d+)\s*\)/y;
+    const unescape = (value) => value.replace(/\\(.)/g, "$1");
+
+    const empty = () => ({ tag: null, id: null, classes: [], attributes: [] });
+
+    // Left to right; each compound's combinator relates it to its left neighbour
+    const compounds = [];
+    let compound = { ...empty(), combinator: null };
+    let index = 0;
+    const source = selector.trim();
+
+    while (index < source.length) {
+      token.lastIndex = index;
+      const match = token.exec(source);
+      if (!match) throw new Error(`Unsupported selector: ${selector}`);
+      index = token.lastIndex;
+
+      if (match[1] || /^\s+$/.test(match[0])) {
+        compounds.push(compound);
+        compound = {
+          ...empty(),
+          combinator: match[1] ? "child" : "descendant",
+        };
+      } else if (match[2]) {
+        compound.tag = match[2] === "*" ? null : match[2].toLowerCase();
+      } else if (match[3]) {
+        compound.id = unescape(match[3]);
+      } else if (match[4]) {
+        compound.classes.push(unescape(match[4]));
+      } else if (match[5]) {
+        compound.attributes.push({
+          name: match[5],
+          operator: match[6] || null,
+          value: match[7] ?? match[8] ?? match[9] ?? null,
+        });
+      } else if (match[10]) {
+        compound.nthOfType = parseInt(match[10], 10);
+      }
+    }
+    compounds.push(compound);
+
+    // Subject first, matching walks up the ancestry
+    return compounds.reverse();
+  }
+
+  /**
+   * Match compounds (subject first) against a chain (element first)
+   */
+  static matchesChain(chain, compounds) {
+    const match = (nodeIndex, compoundIndex) => {
+      const node = chain[nodeIndex];
+      const compound = compounds[compoundIndex];
+      if (!node || !SelectorGenerator.matchesNode(node, compound)) return false;
+      if (compoundIndex === compounds.length - 1) return true;
+
+      if (compound.combinator === "child") {
+        return match(nodeIndex + 1, compoundIndex + 1);
+      }
+      for (let i = nodeIndex + 1; i < chain.length; i++) {
+        if (match(i, compoundIndex + 1)) return true;
+      }
+      return false;
+    };
+
+    return match(0, 0);
+  }
+
+  static matchesNode(node, compound) {
+    if (compound.tag && node.tagName !== compound.tag) return false;
+    if (compound.id && node.id !== compound.id) return false;
+    if (compound.classes.some((name) => !node.classes.includes(name))) {
+      return false;
+    }
+    if (compound.nthOfType && node.nthOfType !== compound.nthOfType) {
+      return false;
+    }
+
+    return compound.attributes.every(({ name, operator, value }) => {
+      const actual =
+        name === "id"
+          ? node.id
+          : name === "class"
+          ? node.classes.join(" ")
+          : node.attributes[name];
+      if (actual === undefined || actual === null) return false;
+
+      switch (operator) {
+        case null:
+          return true;
+        case "=":
+          return actual === value;
+        case "^=":
+          return actual.startsWith(value);
+        case "$=":
+          return actual.endsWith(value);
+        case "*=":
+          return actual.includes(value);
+        case "~=":
+          return actual.split(/\s+/).includes(value);
+        default:
+          return false;
+      }
+    });
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SelectorGenerator;
+} else {
+  window.SelectorGenerator = SelectorGenerator;
+}
@@ -0,0 +1,219 @@
+/**
+ * StandLog Analytics - Transport Module
+ * Pluggable delivery of payloads to the ingestion API
+ */
+
+class TransportManager {
+  constructor(config = {}) {
+    this.config = {
+      apiUrl: "",
+      transport: "fetch", // 'fetch', 'beacon', 'xhr' or a custom function
+      unloadTransport: "beacon",
+      headers: {},
+      endpoints: {},
+      params: {},
+      ...config,
+    };
+
+    this.transports = new Map();
+    this.initializeTransports();
+
+    if (typeof this.config.transport === "function") {
+      this.registerTransport(
+        "custom",
+        new CustomTransport(this.config.transport)
+      );
+      this.config.transport = "custom";
+    }
+  }
+
+  /**
+   * Initialize built-in transports
+   */
+  initializeTransports() {
+    this.registerTransport("fetch", new FetchTransport());
+    this.registerTransport("beacon", new BeaconTransport());
+    this.registerTransport("xhr", new XHRTransport());
+  }
+
+  /**
+   * Register a new transport
+   */
+  registerTransport(name, transport) {
+    this.transports.set(name, transport);
+  }
+
+  /**
+   * Get transport by name, falling back to fetch
+   */
+  getTransport(name) {
+    return this.transports.get(name) || this.transports.get("fetch");
+  }
+
+  /**
+   * Build full URL for a named endpoint
+   * Endpoint paths may contain {placeholders} filled from config.params
+   */
+  buildUrl(endpoint) {
+    const path = (this.config.endpoints[endpoint] || `/${endpoint}`).replace(
+      /\{(\w+)\}/g,
+      (match, name) => encodeURIComponent(this.config.params[name] ?? match)
+    );
+
+    return `${this.config.apiUrl.replace(/\/+$/, "")}${path}`;
+  }
+
+  /**
+   * Send payload to endpoint
+   * @param {string} endpoint - Endpoint name, e.g. 'session' or 'events'
+   * @param {object} payload - JSON-serialisable body
+   * @param {object} options - { transport, isUnload, headers }
+   * @returns {Promise<{ok: boolean, status: number, data: any}>}
+   */
+  async send(endpoint, payload, options = {}) {
+    const name =
+      options.transport ||
+      (options.isUnload ? this.config.unloadTransport : this.config.transport);
+    const transport = this.getTransport(name);
+
+    return transport.send(this.buildUrl(endpoint), payload, {
+      ...options,
+      headers: { ...this.config.headers, ...options.headers },
+    });
+  }
+
+  /**
+   * Get available transports
+   */
+  getAvailableTransports() {
+    return Array.from(this.transports.keys());
+  }
+}
+
+/**
+ * Fetch Transport
+ */
+class FetchTransport {
+  async send(url, payload, options = {}) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...options.headers,
+      },
+      body: JSON.stringify(payload),
+      keepalive: Boolean(options.isUnload),
+    });
+
+    let data = null;
+    if ((response.headers.get("content-type") || "").includes("json")) {
+      data = await response.json().catch(() => null);
+    }
+
+    return { ok: response.ok, status: response.status, data };
+  }
+}
+
+/**
+ * Beacon Transport
+ * Survives page unload, but cannot send custom headers or read responses.
+ * A beacon the browser accepts counts as sent; a rejected one (e.g. over the
+ * size limit) fails, so its batch stays queued for the next page load
+ */
+class BeaconTransport {
+  async send(url, payload, options = {}) {
+    // keepalive fetch also outlives the page and can carry headers
+    const hasHeaders = Object.keys(options.headers || {}).length > 0;
+    if (
+      hasHeaders ||
+      typeof navigator === "undefined" ||
+      !navigator.sendBeacon
+    ) {
+      return new FetchTransport().send(url, payload, {
+        ...options,
+        isUnload: true,
+      });
+    }
+
+    // text/plain keeps the request CORS-safelisted (no preflight)
+    const blob = new Blob([JSON.stringify(payload)], {
+      type: "text/plain;charset=UTF-8",
+    });
+    const queued = navigator.sendBeacon(url, blob);
+
+    return { ok: queued, status: queued ? 202 : 0, data: null };
+  }
+}
+
+/**
+ * XMLHttpRequest Transport
+ */
+class XHRTransport {
+  send(url, payload, options = {}) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open("POST", url, true);
+      xhr.setRequestHeader("Content-Type", "application/json");
+
+      Object.entries(options.headers || {}).forEach(([name, value]) => {
+        xhr.setRequestHeader(name, value);
+      });
+
+      xhr.onload = () => {
+        let data = null;
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (e) {
+          // Non-JSON response body
+        }
+
+        resolve({
+          ok: xhr.status >= 200 && xhr.status < 300,
+          status: xhr.status,
+          data,
+        });
+      };
+      xhr.onerror = () => reject(new Error("XHR network error"));
+      xhr.ontimeout = () => reject(new Error("XHR timeout"));
+
+      xhr.send(JSON.stringify(payload));
+    });
+  }
+}
+
+/**
+ * Custom Transport
+ * Wraps a user function: (url, payload, options) => Promise<boolean|object>
+ */
+class CustomTransport {
+  constructor(handler) {
+    this.handler = handler;
+  }
+
+  async send(url, payload, options = {}) {
+    const result = await this.handler(url, payload, options);
+
+    if (typeof result === "boolean") {
+      return { ok: result, status: result ? 200 : 0, data: null };
+    }
+
+    return { ok: true, status: 200, data: null, ...result };
+  }
+}
+
+// Export for module usage
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    TransportManager,
+    FetchTransport,
+    BeaconTransport,
+    XHRTransport,
+    CustomTransport,
+  };
+} else {
+  window.TransportManager = TransportManager;
+  window.FetchTransport = FetchTransport;
+  window.BeaconTransport = BeaconTransport;
+  window.XHRTransport = XHRTransport;
+  window.CustomTransport = CustomTransport;
+}
@@ -19,7 +19,7 @@ const analytics = window._analytics
   ? _analytics.init({ app: "standlog" })
   : null;
 
-const ANALYTICS_API_URL = "https://hackathon-api.opencnt.com/api";
+const DEFAULT_API_URL = "https://hackathon-api.opencnt.com/api";
 
 class StandLogAnalytics {
   key;
@@ -38,59 +38,344 @@ class StandLogAnalytics {
       enableDashboard: true,
       enableIntegrations: true,
       debug: false,
+      apiUrl: DEFAULT_API_URL,
+      transport: "fetch", // 'fetch', 'beacon', 'xhr' or a custom function
+      unloadTransport: "beacon",
+      headers: {},
+      requireConsent: false,
+      respectDoNotTrack: true,
+      cookieless: false, // Keep IDs in memory, never touch browser storage
+      maxBufferedEvents: 100,
+      redaction: {},
+      trackRoutes: false, // Virtual pageviews for single-page apps
+      routes: {},
+      plugins: [],
+      sessionTimeout: 30 * 60 * 1000, // 30 minutes of inactivity
+      trackErrors: false, // JavaScript errors and failed resource loads
+      errors: {},
+      trackPerformance: false, // Core Web Vitals, navigation timing, slow resources
+      performance: {},
+      trackFrustration: false, // Rage, dead and error clicks
+      frustration: {},
+      selectors: {}, // Preferred attributes and dynamic class/ID patterns
+      trackDataAttributes: true, // Custom events from data-standlog-event markup
+      dataAttributes: {},
+      trackScroll: true, // Scroll depth, milestones and time per depth band
+      scroll: {},
+      trackForms: false, // Field interactions and form abandonment
+      forms: {},
+      trackImpressions: false, // Time in view of selected elements
+      impressions: {},
+      trackAttribution: true, // UTM, click ID and referrer touchpoints
+      attribution: {},
+      crossDomain: false, // Share the user and session with linker.domains
+      linker: {},
+      trackLinks: true, // Outbound, download, mailto and tel clicks
+      links: {},
+      trackPointer: false, // Pointer movement and hover dwell for heatmaps
+      pointer: {},
+      trackReplay: false, // Session recordings for the replay player
+      replay: {},
+      breakpoints: { mobile: 0, tablet: 768, desktop: 1024 }, // Min viewport width of each heatmap segment
       ...config,
+      endpoints: {
+        session: "/session",
+        events: "/event",
+        ...config.endpoints,
+      },
+      queue: {
+        maxAttempts: 5,
+        baseDelay: 1000,
+        maxDelay: 60000,
+        maxBatches: 100,
+        ...config.queue,
+      },
     };
 
     this.sessionData = null;
     this.events = [];
     this.modules = {};
-    this.sessionCreated = false; // Track if session has been created on server
+    this.consentBuffer = []; // Events held back until consent is decided
+    this.bus = new EventBus(); // Feeds collected events to the modules
+    this.plugins = new PluginManager(this);
+    this.memoryStorage = new Map(); // Stand-in for browser storage
+
+    this.consent = new ConsentManager({
+      requireConsent: this.config.requireConsent,
+      respectDoNotTrack: this.config.respectDoNotTrack,
+      persist: !this.config.cookieless,
+    });
+    this.consent.onChange((status) => this.handleConsentChange(status));
+
+    // Strips PII before anything is buffered, queued or sent
+    this.redactor = new Redactor(this.config.redaction);
+
+    // Always available for captureError(); listens only when trackErrors is on
+    this.errors = new ErrorTracker({
+      ...this.config.errors,
+      onError: (error) => this.trackError(error),
+    });
+
+    this.performance = new PerformanceTracker({
+      ...this.config.performance,
+      // The tracker's own requests are not the site's slow resources
+      ignoreResources: [
+        this.config.apiUrl,
+        ...(this.config.performance.ignoreResources || []),
+      ],
+      onReport: (report) => this.trackPerformance(report),
+    });
+
+    this.selectors = new SelectorGenerator(this.config.selectors);
+
+    this.declarative = new DeclarativeTracker({
+      ...this.config.dataAttributes,
+      isIgnored: (element) => this.redactor.isIgnored(element),
+      onTrack: (name, properties, details) =>
+        this.trackDeclarative(name, properties, details),
+    });
+
+    this.scroll = new ScrollTracker({
+      ...this.config.scroll,
+      onMilestone: (milestone) => this.trackScrollMilestone(milestone),
+      onReport: (report) => this.trackScroll(report),
+    });
+
+    this.pointer = new PointerTracker({
+      ...this.config.pointer,
+      isIgnored: (element) => this.redactor.isIgnored(element),
+      getSelector: (element) => this.selectors.getSelector(element),
+      onReport: (report) => this.trackPointer(report),
+    });
+
+    this.forms = new FormTracker({
+      ...this.config.forms,
+      isIgnored: (element) => this.redactor.isIgnored(element),
+      onEvent: (type, form) => this.trackFormInteraction(type, form),
+    });
+
+    this.impressions = new ImpressionTracker({
+      ...this.config.impressions,
+      isIgnored: (element) => this.redactor.isIgnored(element),
+      onImpression: (impression, element) =>
+        this.trackImpression(impression, element),
+    });
+
+    this.links = new LinkTracker({
+      ...this.config.links,
+      // Linked domains are part of the same journey, not outbound
+      internalDomains: [
+        ...(this.config.links.internalDomains || []),
+        ...(this.config.crossDomain ? this.config.linker.domains || [] : []),
+      ],
+      isIgnored: (element) => this.redactor.isIgnored(element),
+      onLink: (type, link, element) => this.trackLink(type, link, element),
+    });
+
+    // Recordings are masked as they are taken, since chunks are compressed
+    this.replay = new SessionRecorder({
+      ...this.config.replay,
+      isIgnored: (element) => this.redactor.isIgnored(element),
+      isMasked: (element) => this.redactor.isMasked(element),
+      maskText: (text) => this.redactor.redactText(text),
+      maskUrl: (url) => this.redactor.redactUrl(url),
+      maskInput: (element, value) =>
+        this.redactor.redactField(
+          { type: element.type, name: element.name, value },
+          element
+        ).value,
+      getSessionId: () => this.session.current?.id,
+      onChunk: (chunk) => this.trackReplay(chunk),
+    });
+    this.replays = new Map(); // sessionId -> { chunks, events } for playback
+    this.serverSessionIds = new Map(); // Local session ID -> server-assigned ID
+
+    this.frustration = new FrustrationDetector({
+      ...this.config.frustration,
+      onSignal: (type, signal) => this.trackFrustration(type, signal),
+    });
+
+    this.transport = new TransportManager({
+      apiUrl: this.config.apiUrl,
+      transport: this.config.transport,
+      unloadTransport: this.config.unloadTransport,
+      headers: this.config.headers,
+      endpoints: this.config.endpoints,
+      params: { key: this.key },
+    });
+
+    // Touchpoints are kept per user, so each session knows where it came from
+    this.attribution = new AttributionManager({
+      ...this.config.attribution,
+      // Arriving from a linked domain continues the visit
+      internalDomains: [
+        ...(this.config.attribution.internalDomains || []),
+        ...(this.config.crossDomain ? this.config.linker.domains || [] : []),
+      ],
+      canPersist: () => this.canPersist(),
+    });
+
+    this.linker = new CrossDomainLinker({
+      checksumKey: this.key,
+      ...this.config.linker,
+      getIds: () => this.getLinkerIds(),
+    });
+
+    // Session shared by all tabs; rotates on inactivity, midnight or campaign
+    this.session = new SessionManager({
+      timeout: this.config.sessionTimeout,
+      canPersist: () => this.canPersist(),
+      onStart: (session, reason) => this.handleSessionStart(session, reason),
+      onEnd: (session, reason) => this.handleSessionEnd(session, reason),
+      onChange: (session) => this.syncSessionData(session),
+    });
+
+    // Durable queue for batches that have left the in-memory buffer
+    this.queue = new EventQueue({
+      ...this.config.queue,
+      storageKey: "standlog_queue",
+      persist: !this.config.cookieless,
+      // Batches hold user and session IDs, so they are only stored with
+      // identification consent
+      canPersist: () => this.canPersist(),
+      send: (batch, options) => this.sendBatch(batch, options),
+      debug: this.config.debug,
+    });
+
+    // Registered before init so plugins see the initial pageview
+    // Entries are plugins or [plugin, options] pairs
+    this.config.plugins.forEach((entry) => {
+      if (Array.isArray(entry)) {
+        this.use(...entry);
+      } else {
+        this.use(entry);
+      }
+    });
 
     this.init();
   }
 
   async init() {
+    // IDs carried over from a linked domain replace the stored ones
+    let linked = this.config.crossDomain ? this.linker.consume() : null;
+    if (linked && !this.adoptLinkedUser(linked)) linked = null;
+
+    this.traits = this.getTraits();
     this.sessionData = {
-      sessionId: this.generateSessionId(),
+      sessionId: null,
       userId: this.getUserId(),
-      anonymousId: this.getAnonymousId(),
+      anonymousId: null,
       startTime: Date.now(),
       pageViews: 0,
       clicks: 0,
       scrolls: 0,
     };
 
-    this.setupTracking();
+    // Modules subscribe to the bus before the first session and pageview
     this.initializeModules();
+    if (this.config.trackAttribution) {
+      this.attribution.start(); // Before the session, whose start reports it
+    }
+    this.syncSessionData(this.session.start(window.location.href, linked));
+    this.setupTracking();
   }
 
   setupTracking() {
     // Page view tracking
     this.trackPageView();
 
+    // Route changes in single-page apps (manual page() calls work either way)
+    this.router = new RouteTracker({
+      ...this.config.routes,
+      onRouteChange: (route) => this.trackPageView(route),
+    });
+    if (this.config.trackRoutes) {
+      this.router.start();
+    }
+
+    if (this.config.trackErrors) {
+      this.errors.start();
+    } else if (this.config.trackFrustration) {
+      // Error clicks need errors even when they are not tracked themselves
+      this.frustration.listenForErrors();
+    }
+
+    if (this.config.trackPerformance) {
+      this.performance.start();
+    }
+
+    if (this.config.trackDataAttributes) {
+      this.declarative.start();
+    }
+
+    if (this.config.trackImpressions) {
+      this.impressions.start();
+    }
+
+    if (this.config.crossDomain) {
+      this.linker.start();
+    }
+
+    if (this.config.trackForms) {
+      this.forms.start();
+    }
+
     // Click tracking for heatmaps
     document.addEventListener("click", (e) => this.trackClick(e), true);
 
-    // Scroll tracking for heatmaps
-    let scrollTimeout;
-    window.addEventListener(
-      "scroll",
-      () => {
-        clearTimeout(scrollTimeout);
-        scrollTimeout = setTimeout(() => this.trackScroll(), 100);
-      },
-      { passive: true }
-    );
+    // After the click listener, so the click goes out with the link event
+    if (this.config.trackLinks) {
+      this.links.start();
+    }
+
+    // Scroll depth is summarised per page rather than sent per scroll
+    if (this.config.trackScroll) {
+      this.scroll.start();
+    }
+
+    // Sampled and summarised per page like scroll depth
+    if (this.config.trackPointer) {
+      this.pointer.start();
+    }
 
     // Form submissions for funnel tracking
     document.addEventListener("submit", (e) => this.trackFormSubmit(e), true);
 
-    // Send data before page unload
-    window.addEventListener("beforeunload", () => this.sendEvents(true));
+    // Recordings need their own consent; handleConsentChange starts them later
+    if (this.config.trackReplay) {
+      this.bus.on("*", (event) => this.keepReplay(event));
+      if (this.consent.has("replay")) this.replay.start();
+    }
+
+    // Send data when the page is hidden for good (fires reliably on mobile,
+    // unlike beforeunload, and keeps the page eligible for bfcache)
+    window.addEventListener("pagehide", () => this.flushModules("pagehide"));
+
+    // A hidden page may be discarded without a pagehide, so send what the
+    // modules have collected so far, once for all of them
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.flushModules("hidden");
+    });
+  }
+
+  /**
+   * Collect every module's pending summary and send it in one unload flush
+   * @param {string} reason - 'hidden' or 'pagehide'
+   */
+  flushModules(reason) {
+    this.session.save(); // Activity writes are throttled, flush the last one
+    this.performance.flush(reason);
+    this.scroll.flush(reason);
+    this.pointer.flush(reason);
+    this.impressions.flush(reason);
+    this.forms.flush(reason);
+    this.replay.flush(reason);
+    this.sendEvents(true);
   }
 
   initializeModules() {
-    // Initialize feature modules based on config
+    // Initialize feature modules based on config; every module is fed
+    // from the tracker's event bus rather than its own DOM listeners
     if (this.config.enableHeatmaps) this.initHeatmaps();
     if (this.config.enableFunnels) this.initFunnels();
     if (this.config.enablePersonas) this.initPersonas();
@@ -103,6 +388,8 @@ class StandLogAnalytics {
   // ===================
 
   trackClick(event) {
+    if (this.redactor.isIgnored(event.target)) return;
+
     const clickData = {
       type: "click",
       timestamp: Date.now(),
@@ -111,8 +398,16 @@ class StandLogAnalytics {
         y: event.clientY,
         pageX: event.pageX,
         pageY: event.pageY,
+        pageWidth: document.documentElement.scrollWidth,
+        // Where in the element, from 0 to 1, to place it on other layouts
+        ...this.getOffsetRatio(event),
       },
       element: this.getElementInfo(event.target),
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+      },
+      breakpoint: this.getBreakpoint(window.innerWidth),
       url: window.location.href,
       sessionId: this.sessionData.sessionId,
       userId: this.sessionData.userId,
@@ -124,51 +419,106 @@ class StandLogAnalytics {
 
     this.addEvent(clickData);
     this.sessionData.clicks++;
+
+    if (this.config.trackFrustration) {
+      this.frustration.observeClick(event, clickData);
+    }
   }
 
-  trackScroll() {
+  /**
+   * Record a page's scroll depth summary
+   * @param {object} report - Report from ScrollTracker
+   */
+  trackScroll(report) {
     const scrollData = {
       type: "scroll",
       timestamp: Date.now(),
-      scroll: {
-        x: window.scrollX,
-        y: window.scrollY,
-        percentage:
-          (window.scrollY /
-            (document.documentElement.scrollHeight - window.innerHeight)) *
-          100,
-      },
-      url: window.location.href,
+      scroll: report,
+      url: report.url,
       sessionId: this.sessionData.sessionId,
       userId: this.sessionData.userId,
     };
 
     this.addEvent(scrollData);
+  }
+
+  /**
+   * Record a page's pointer movement and hover dwell summary
+   * @param {object} report - Report from PointerTracker
+   */
+  trackPointer(report) {
+    this.addEvent({
+      type: "pointer",
+      timestamp: Date.now(),
+      pointer: report,
+      url: report.url,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
+  }
+
+  /**
+   * Record a scroll depth milestone (25%, 50%, ...) reached on a page
+   */
+  trackScrollMilestone(milestone) {
+    this.addEvent({
+      type: "scroll_milestone",
+      timestamp: Date.now(),
+      scroll: milestone,
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
     this.sessionData.scrolls++;
   }
 
-  trackPageView() {
+  /**
+   * Track a page view
+   * @param {object} route - Route change from RouteTracker for virtual pageviews
+   */
+  trackPageView(route = null) {
+    const url = route ? route.url : window.location.href;
+    const title = route ? route.title : document.title;
+    // Virtual pageviews use the previous route as their referrer
+    const referrer = route ? route.previousUrl : document.referrer;
+
+    // Campaign links within a single-page app are new touches too; recorded
+    // before the pageview in case it starts a campaign session
+    if (route) this.attribution.capture(url, referrer);
+
     const pageData = {
       type: "pageview",
       timestamp: Date.now(),
-      url: window.location.href,
-      title: document.title,
-      referrer: document.referrer,
+      url,
+      title,
+      referrer,
+      page: { url, title, referrer },
+      virtual: Boolean(route),
+      previousRoute: route
+        ? {
+            url: route.previousUrl,
+            timeOnPage: route.timeOnPreviousRoute,
+          }
+        : null,
       device: this.getDeviceInfo(),
       sessionId: this.sessionData.sessionId,
       userId: this.sessionData.userId,
     };
 
     this.addEvent(pageData);
-    this.sessionData.pageViews++;
   }
 
   trackFormSubmit(event) {
+    if (this.redactor.isIgnored(event.target)) return;
+
     const formData = {
       type: "form_submit",
       timestamp: Date.now(),
       form: {
         id: event.target.id,
+        name: this.forms.getFormName(event.target),
+        // Same attempt as its form_field and form_abandon events
+        attemptId: this.forms.getAttemptId(event.target),
         action: event.target.action,
         method: event.target.method,
       },
@@ -180,233 +530,233 @@ class StandLogAnalytics {
     this.addEvent(formData);
   }
 
-  // ===================
-  // HEATMAPS MODULE
-  // ===================
-
-  initHeatmaps() {
-    this.modules.heatmaps = {
-      clickData: [],
-      scrollData: [],
-
-      createHeatmap: (containerId, type = "click") => {
-        return this.createHeatmap(containerId, type);
-      },
-    };
+  /**
+   * Record a field interaction, validation error or abandoned form
+   * @param {string} type - 'form_field', 'form_invalid' or 'form_abandon'
+   */
+  trackFormInteraction(type, form) {
+    this.addEvent({
+      type,
+      timestamp: Date.now(),
+      form,
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
   }
 
-  createHeatmap(containerId, type) {
-    const container = document.getElementById(containerId);
-    if (!container) return null;
-
-    const data = this.events.filter((e) => e.type === type);
-    return this.renderHeatmap(container, data, type);
-  }
-
-  renderHeatmap(container, data, type) {
-    const canvas = document.createElement("canvas");
-    canvas.style.position = "absolute";
-    canvas.style.top = "0";
-    canvas.style.left = "0";
-    canvas.style.zIndex = "1000";
-    canvas.style.pointerEvents = "auto";
-
-    const ctx = canvas.getContext("2d");
-    container.appendChild(canvas);
-
-    let scale = 1,
-      panX = 0,
-      panY = 0;
-
-    const render = () => {
-      canvas.width = container.offsetWidth;
-      canvas.height = container.offsetHeight;
-
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.save();
-      ctx.translate(panX, panY);
-      ctx.scale(scale, scale);
-
-      // Render data points
-      data.forEach((point) => {
-        if (type === "click" && point.coordinates) {
-          ctx.fillStyle = "rgba(255, 0, 0, 0.6)";
-          ctx.beginPath();
-          ctx.arc(
-            point.coordinates.pageX,
-            point.coordinates.pageY,
-            10,
-            0,
-            Math.PI * 2
-          );
-          ctx.fill();
-        }
-      });
-
-      ctx.restore();
+  trackError(error) {
+    const errorData = {
+      type: "error",
+      timestamp: Date.now(),
+      error,
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
     };
 
-    // Zoom and pan controls
-    canvas.addEventListener("wheel", (e) => {
-      e.preventDefault();
-      const zoom = e.deltaY > 0 ? 0.9 : 1.1;
-      scale = Math.max(0.1, Math.min(5, scale * zoom));
-      render();
-    });
-
-    render();
+    this.addEvent(errorData);
 
-    return { canvas, render, destroy: () => container.removeChild(canvas) };
+    if (this.config.trackFrustration) {
+      this.frustration.observeError(error);
+    }
   }
 
-  // ===================
-  // FUNNELS MODULE
-  // ===================
+  trackPerformance(report) {
+    const performanceData = {
+      type: "performance",
+      timestamp: Date.now(),
+      performance: report,
+      url: report.url,
+      device: this.getDeviceInfo(),
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    };
 
-  initFunnels() {
-    this.modules.funnels = {
-      funnels: new Map(),
+    this.addEvent(performanceData);
+  }
 
-      defineFunnel: (id, steps, options = {}) => {
-        return this.defineFunnel(id, steps, options);
-      },
+  /**
+   * Record a frustration signal derived from clicks
+   * @param {string} type - 'rage_click', 'dead_click' or 'error_click'
+   */
+  trackFrustration(type, signal) {
+    this.addEvent({
+      ...signal,
+      type,
+      timestamp: Date.now(),
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
+  }
 
-      trackStep: (funnelId, stepId) => {
-        return this.trackFunnelStep(funnelId, stepId);
-      },
-    };
+  /**
+   * Record a custom event declared in markup
+   * @param {object} details - { trigger, element }
+   */
+  trackDeclarative(name, properties, details) {
+    this.addEvent({
+      type: "custom",
+      name,
+      properties,
+      trigger: details.trigger,
+      element: this.getElementInfo(details.element),
+      timestamp: Date.now(),
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
   }
 
-  defineFunnel(id, steps, options) {
-    const funnel = {
-      id,
-      name: options.name || id,
-      steps: steps.map((step, index) => ({
-        id: step.id || `step_${index}`,
-        name: step.name,
-        url: step.url,
-        event: step.event,
-        order: index,
-      })),
-      analytics: {
-        totalUsers: 0,
-        completions: 0,
-        dropoffs: steps.map(() => ({ reached: 0, dropped: 0 })),
-      },
-    };
+  /**
+   * Record an outbound, download, mailto or tel click
+   * @param {string} type - 'outbound', 'download', 'mailto' or 'tel'
+   * @param {object} link - Destination details from LinkTracker
+   */
+  trackLink(type, link, element) {
+    this.addEvent({
+      type: `${type}_click`,
+      timestamp: Date.now(),
+      link,
+      element: this.getElementInfo(element),
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
 
-    this.modules.funnels.funnels.set(id, funnel);
-    return funnel;
+    // The click may unload the page before the next batch is due
+    this.sendEvents(true);
   }
 
-  trackFunnelStep(funnelId, stepId) {
-    const funnel = this.modules.funnels?.funnels.get(funnelId);
-    if (!funnel) return;
+  /**
+   * Record an element's time in view
+   * @param {object} impression - Report from ImpressionTracker
+   */
+  trackImpression(impression, element) {
+    this.addEvent({
+      type: "impression",
+      timestamp: Date.now(),
+      impression,
+      element: this.getElementInfo(element),
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
+  }
 
-    const step = funnel.steps.find((s) => s.id === stepId);
-    if (step) {
-      funnel.analytics.dropoffs[step.order].reached++;
+  /**
+   * Record a chunk of the session recording
+   * @param {object} chunk - Chunk from SessionRecorder
+   */
+  trackReplay(chunk) {
+    this.addEvent({
+      type: "replay",
+      timestamp: Date.now(),
+      replay: chunk,
+      url: window.location.href,
+      // Cut before a session change, so not necessarily the current one
+      sessionId: chunk.sessionId || this.sessionData.sessionId,
+      userId: this.sessionData.userId,
+    });
 
-      if (step.order === funnel.steps.length - 1) {
-        funnel.analytics.completions++;
-      }
+    // Compressed after the hide flush went out; queue it now, where it is
+    // stored, in case the hidden page is discarded
+    if (chunk.reason === "hidden" && chunk.encoding === "gzip") {
+      this.sendEvents();
     }
   }
 
-  // ===================
-  // PERSONAS MODULE
-  // ===================
-
-  initPersonas() {
-    this.modules.personas = {
-      personas: new Map(),
-      userProfiles: new Map(),
+  /**
+   * Keep this page's chunks and timeline events for createReplayPlayer()
+   */
+  keepReplay(event) {
+    const isChunk = event.type === "replay";
+    if (!isChunk && !ReplayPlayer.MARKERS[event.type]) return;
 
-      definePersona: (id, config) => {
-        return this.definePersona(id, config);
-      },
+    if (!this.replays.has(event.sessionId)) {
+      this.replays.set(event.sessionId, { chunks: [], events: [] });
+    }
+    const replay = this.replays.get(event.sessionId);
+
+    if (!isChunk) {
+      replay.events.push(event);
+      if (replay.events.length > 500) replay.events.shift();
+    } else if (replay.chunks.length < (this.config.replay.keepChunks ?? 100)) {
+      // Past the limit the start of the recording stays playable
+      replay.chunks.push(event.replay);
+    }
+  }
 
-      analyzeUser: (userId) => {
-        return this.analyzeUserPersona(userId);
-      },
-    };
+  /**
+   * Recordings kept for playback follow their session to a new ID
+   */
+  moveReplay(fromId, toId) {
+    const kept = this.replays.get(fromId);
+    if (!kept || fromId === toId) return;
+
+    const target = this.replays.get(toId) || { chunks: [], events: [] };
+    target.chunks.unshift(...kept.chunks);
+    target.events.unshift(...kept.events);
+    this.replays.set(toId, target);
+    this.replays.delete(fromId);
+  }
 
-    // Setup default personas
-    this.definePersona("power_user", {
-      name: "Power User",
-      rules: [{ metric: "pageViews", operator: ">", value: 10 }],
-    });
+  // ===================
+  // HEATMAPS MODULE
+  // ===================
 
-    this.definePersona("bouncer", {
-      name: "Bouncer",
-      rules: [{ metric: "sessionDuration", operator: "<", value: 30000 }],
-    });
-  }
+  initHeatmaps() {
+    this.modules.heatmaps = new HeatmapManager();
 
-  definePersona(id, config) {
-    this.modules.personas.personas.set(id, {
-      id,
-      name: config.name,
-      rules: config.rules,
-      users: new Set(),
+    this.bus.on("click", (event) => this.modules.heatmaps.addData(event));
+    this.bus.on("scroll", (event) => this.modules.heatmaps.addData(event));
+    this.bus.on("pointer", (event) => this.modules.heatmaps.addData(event));
+    ["rage_click", "dead_click", "error_click"].forEach((type) => {
+      this.bus.on(type, (event) => this.modules.heatmaps.addData(event));
     });
   }
 
-  analyzeUserPersona(userId) {
-    const user = this.getUserProfile(userId);
-    const personas = [];
+  // ===================
+  // FUNNELS MODULE
+  // ===================
 
-    this.modules.personas.personas.forEach((persona, id) => {
-      if (this.userMatchesPersona(user, persona)) {
-        personas.push(id);
-        persona.users.add(userId);
-      }
+  initFunnels() {
+    // The tracker already listens for clicks and submits, so the funnel
+    // analyzer must not attach its own listeners
+    this.modules.funnels = new FunnelAnalyzer({
+      autoTrack: false,
+      replayUrl: this.config.replay.playerUrl || null,
     });
 
-    return personas;
+    this.bus.on("*", (event) => this.modules.funnels.addEvent({ ...event }));
   }
 
-  userMatchesPersona(user, persona) {
-    return persona.rules.every((rule) => {
-      const value = this.getUserMetricValue(user, rule.metric);
+  // ===================
+  // PERSONAS MODULE
+  // ===================
 
-      switch (rule.operator) {
-        case ">":
-          return value > rule.value;
-        case "<":
-          return value < rule.value;
-        case ">=":
-          return value >= rule.value;
-        case "<=":
-          return value <= rule.value;
-        case "=":
-          return value === rule.value;
-        default:
-          return false;
-      }
-    });
-  }
+  initPersonas() {
+    this.modules.personas = new PersonaAnalyzer();
 
-  getUserProfile(userId) {
-    return {
-      userId,
-      pageViews: this.sessionData.pageViews,
-      sessionDuration: Date.now() - this.sessionData.startTime,
-      clicks: this.sessionData.clicks,
-    };
-  }
+    this.bus.on("*", (event) => {
+      if (!this.consent.has("personas")) return;
+      if (event.type === "replay") return; // Recordings aren't behaviour
 
-  getUserMetricValue(user, metric) {
-    switch (metric) {
-      case "pageViews":
-        return user.pageViews;
-      case "sessionDuration":
-        return user.sessionDuration;
-      case "clicks":
-        return user.clicks;
-      default:
-        return 0;
-    }
+      const personas = this.modules.personas;
+      if (event.type === "identify" || event.type === "alias") {
+        // Carry the anonymous profile over to the known user
+        if (event.previousId) {
+          personas.aliasUser(event.previousId, event.userId);
+        }
+        if (event.traits) {
+          personas.setUserAttributes(event.userId, event.traits);
+        }
+        return;
+      }
+
+      personas.addUserEvent(event.userId, event);
+    });
   }
 
   // ===================
@@ -414,58 +764,13 @@ class StandLogAnalytics {
   // ===================
 
   initDashboard() {
-    this.modules.dashboard = {
-      create: (containerId) => this.createDashboard(containerId),
-    };
-  }
+    // Created on demand by createDashboard(), since it needs a container
+    this.modules.dashboard = null;
 
-  createDashboard(containerId) {
-    const container = document.getElementById(containerId);
-    if (!container) return null;
-
-    container.innerHTML = `
-      <div class="standlog-dashboard">
-        <h2>StandLog Analytics Dashboard</h2>
-        <div class="metrics">
-          <div class="metric">
-            <h3>Page Views</h3>
-            <span id="pageViews">${this.sessionData.pageViews}</span>
-          </div>
-          <div class="metric">
-            <h3>Clicks</h3>
-            <span id="clicks">${this.sessionData.clicks}</span>
-          </div>
-          <div class="metric">
-            <h3>Session Duration</h3>
-            <span id="duration">${Math.round(
-              (Date.now() - this.sessionData.startTime) / 1000
-            )}s</span>
-          </div>
-        </div>
-        <div class="events">
-          <h3>Recent Events</h3>
-          <div id="eventsList"></div>
-        </div>
-      </div>
-    `;
-
-    this.updateDashboard(container);
-    return container;
-  }
-
-  updateDashboard(container) {
-    const eventsEl = container.querySelector("#eventsList");
-    if (eventsEl) {
-      eventsEl.innerHTML = this.events
-        .slice(-10)
-        .map(
-          (event) =>
-            `<div>${event.type} - ${new Date(
-              event.timestamp
-            ).toLocaleTimeString()}</div>`
-        )
-        .join("");
-    }
+    this.bus.on("*", (event) => {
+      if (event.type === "replay") return; // Not activity to show
+      this.modules.dashboard?.handleRealTimeEvent(event);
+    });
   }
 
   // ===================
@@ -473,76 +778,55 @@ class StandLogAnalytics {
   // ===================
 
   initIntegrations() {
-    this.modules.integrations = {
-      exportData: (format) => this.exportData(format),
-      sendToSlack: (webhookUrl, data) => this.sendToSlack(webhookUrl, data),
-      sendToJira: (config, data) => this.sendToJira(config, data),
-    };
+    this.modules.integrations = new IntegrationsManager();
   }
 
-  exportData(format = "json") {
-    const data = {
-      session: this.sessionData,
-      events: this.events,
-      timestamp: Date.now(),
-    };
+  // ===================
+  // UTILITY METHODS
+  // ===================
 
-    switch (format) {
-      case "json":
-        return JSON.stringify(data, null, 2);
-      case "csv":
-        return this.convertToCSV(data.events);
-      default:
-        throw new Error(`Format ${format} not supported`);
+  addEvent(eventData) {
+    // Any tracked activity keeps the session alive (or rotates an expired
+    // one); replay chunks record the page rather than the visitor
+    if (!eventData.type.startsWith("session_") && eventData.type !== "replay") {
+      this.syncSessionData(
+        this.session.touch({
+          url: eventData.url,
+          pageView: eventData.type === "pageview",
+        })
+      );
+      eventData.sessionId = this.sessionData.sessionId;
     }
-  }
 
-  convertToCSV(events) {
-    const headers = ["timestamp", "type", "url"];
-    const rows = [headers.join(",")];
+    eventData = this.redactor.redactEvent(eventData);
 
-    events.forEach((event) => {
-      rows.push([event.timestamp, event.type, event.url || ""].join(","));
-    });
+    // Hold events until the visitor has made a consent decision
+    if (!this.consent.isDecided()) {
+      this.consentBuffer.push(eventData);
+      if (this.consentBuffer.length > this.config.maxBufferedEvents) {
+        this.consentBuffer.shift();
+      }
+      return;
+    }
 
-    return rows.join("\n");
+    this.processEvent(eventData);
   }
 
-  async sendToSlack(webhookUrl, data) {
-    const message = {
-      text: `StandLog Analytics Update`,
-      attachments: [
-        {
-          title: "Session Data",
-          fields: [
-            {
-              title: "Page Views",
-              value: this.sessionData.pageViews,
-              short: true,
-            },
-            { title: "Clicks", value: this.sessionData.clicks, short: true },
-          ],
-        },
-      ],
-    };
+  /**
+   * Run a consented event through plugins and into the send buffer
+   */
+  processEvent(eventData) {
+    if (!this.consent.allowsEvent(eventData.type)) return;
 
-    try {
-      await fetch(webhookUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(message),
-      });
-    } catch (error) {
-      console.error("Slack send failed:", error);
-    }
-  }
+    eventData = this.plugins.transform("beforeEvent", eventData);
+    if (!eventData) return; // Dropped by a plugin
 
-  // ===================
-  // UTILITY METHODS
-  // ===================
+    // Plugins may retype events, so check consent again
+    if (!this.consent.allowsEvent(eventData.type)) return;
 
-  addEvent(eventData) {
     this.events.push(eventData);
+    this.bus.emit(eventData.type, eventData);
+    this.plugins.notify("afterEvent", eventData);
 
     if (this.config.debug) {
       console.log(`📊 Event added (${this.events.length}/5):`, eventData.type);
@@ -557,49 +841,162 @@ class StandLogAnalytics {
     }
   }
 
+  /**
+   * Move buffered events into the durable queue and flush it
+   */
   async sendEvents(isBeforeUnload = false) {
-    if (this.events.length === 0) return;
+    // One batch per session, each stamped with the session it belongs to,
+    // since batches can outlive a rotation or the page that queued them.
+    // Replay chunks go in batches of their own, so a large chunk can't get
+    // the other events of an unload flush rejected by the beacon size limit
+    const batches = [];
+    this.events.forEach((event) => {
+      const last = batches[batches.length - 1];
+      const replay = event.type === "replay";
+      if (
+        last &&
+        !replay &&
+        !last.replay &&
+        last.sessionId === event.sessionId
+      ) {
+        last.events.push(this.formatEventForAPI(event));
+      } else {
+        batches.push({
+          sessionId: event.sessionId,
+          replay,
+          events: [this.formatEventForAPI(event)],
+        });
+      }
+    });
+    batches.forEach(({ sessionId, events }) =>
+      this.queue.enqueue(events, { sessionId })
+    );
+    this.events = []; // Events now live in the queue
 
-    try {
-      // First, ensure session exists
+    await this.queue.flush({ isUnload: isBeforeUnload });
+  }
+
+  /**
+   * Send a single queued batch, throwing on failure so the queue retries
+   */
+  async sendBatch(batch, options = {}) {
+    // Batches queued by older versions carry no session
+    const sessionId = this.getServerSessionId(
+      batch.sessionId || this.sessionData.sessionId
+    );
+
+    // First, ensure session exists. There is no time for a round trip on
+    // unload, so the batch carries the session for the server to create
+    let session = null;
+    if (!options.isUnload) {
       await this.ensureSession();
+    } else if (
+      !this.session.current.created &&
+      sessionId === this.session.current.id
+    ) {
+      session = this.getSessionPayload();
+    }
 
-      // Then send events
-      const payload = {
-        sessionId: this.sessionData.sessionId,
-        events: this.events.map((event) => this.formatEventForAPI(event)),
-      };
+    const events = await this.plugins.transformAsync(
+      "beforeSend",
+      batch.events,
+      batch
+    );
 
-      if (this.config.debug) {
-        console.log("📤 Sending payload to API:", payload);
-        console.log("🌐 API URL:", `${ANALYTICS_API_URL}/event`);
-      }
+    // A plugin dropped the whole batch; treat it as delivered
+    if (!events || events.length === 0) return true;
 
-      await fetch(`${ANALYTICS_API_URL}/event`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-        keepalive: isBeforeUnload,
-      });
+    const payload = {
+      sessionId,
+      batchId: batch.id,
+      ...(session && { session }),
+      events,
+    };
 
-      this.events = []; // Clear sent events
-      if (this.config.debug) console.log("Events sent successfully");
+    if (this.config.debug) {
+      console.log("📤 Sending payload to API:", payload);
+      console.log("🌐 API URL:", this.transport.buildUrl("events"));
+    }
+
+    let response;
+    try {
+      response = await this.transport.send("events", payload, options);
+
+      if (!response.ok) {
+        throw new Error(`Event API responded with ${response.status}`);
+      }
     } catch (error) {
-      if (this.config.debug) console.error("Failed to send events:", error);
+      this.plugins.notify("onSendError", error, batch);
+      throw error;
     }
+
+    if (this.config.debug) console.log("Events sent successfully");
+    return true;
   }
 
   /**
    * Ensure session exists on server, create if needed
    */
-  async ensureSession() {
-    // Check if we've already created this session
-    if (this.sessionCreated) return;
+  ensureSession() {
+    if (this.session.current.created) return Promise.resolve();
+
+    // Concurrent batches in this tab share one request
+    if (!this.sessionRequest) {
+      this.sessionRequest = this.createSession().finally(() => {
+        this.sessionRequest = null;
+      });
+    }
+    return this.sessionRequest;
+  }
+
+  /**
+   * Post /session once per session, across all open tabs
+   */
+  async createSession() {
+    // Another tab is already creating it; wait for its result
+    if (!this.session.claimCreation()) {
+      const created = await this.session.waitForCreation();
+      if (created || !this.session.claimCreation()) return;
+    }
+
+    const sessionData = this.getSessionPayload();
+
+    try {
+      const response = await this.transport.send("session", sessionData);
+
+      if (response.ok) {
+        const result = response.data || {};
+        // Adopt the session ID if the server returns a different one
+        const localId = this.session.current.id;
+        this.session.markCreated(result.id);
+        this.syncSessionData(this.session.current);
+        this.moveReplay(localId, this.sessionData.sessionId);
+        if (localId !== this.sessionData.sessionId) {
+          this.serverSessionIds.set(localId, this.sessionData.sessionId);
+        }
+        if (this.config.debug) console.log("Session created:", result);
+
+        this.plugins.notify("onSessionStart", {
+          sessionId: this.sessionData.sessionId,
+          userId: this.sessionData.userId,
+          anonymousId: this.sessionData.anonymousId,
+          metadata: sessionData.metadata,
+        });
+      } else {
+        this.session.releaseCreation();
+      }
+    } catch (error) {
+      this.session.releaseCreation();
+      if (this.config.debug) console.error("Failed to create session:", error);
+    }
+  }
 
-    const sessionData = {
-      anonymousId: this.sessionData.anonymousId, // Using session-based anonymousId
+  /**
+   * Body of the /session request, also sent along with unload batches
+   */
+  getSessionPayload() {
+    return {
+      anonymousId: this.sessionData.anonymousId, // Shared by all tabs of the session
       metadata: {
         device: this.getDeviceInfo(),
         browser: this.getBrowser(navigator.userAgent),
@@ -618,31 +1015,70 @@ class StandLogAnalytics {
         referrer: document.referrer,
         initialUrl: window.location.href,
         initialTitle: document.title,
+        attribution: {
+          firstTouch: this.attribution.getFirstTouch(),
+          lastTouch: this.attribution.getLastTouch(),
+        },
       },
     };
+  }
 
-    try {
-      const response = await fetch(`${ANALYTICS_API_URL}/session`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(sessionData),
-      });
+  // ===================
+  // SESSIONS
+  // ===================
 
-      if (response.ok) {
-        const result = await response.json();
-        // Update session ID if server returns a different one
-        if (result.id) {
-          this.sessionData.sessionId = result.id;
-          localStorage.setItem("standlog_session", result.id);
-        }
-        this.sessionCreated = true;
-        if (this.config.debug) console.log("Session created:", result);
-      }
-    } catch (error) {
-      if (this.config.debug) console.error("Failed to create session:", error);
+  /**
+   * The ID the server knows a session by, for batches queued before the
+   * server replaced it
+   */
+  getServerSessionId(sessionId) {
+    return this.serverSessionIds.get(sessionId) || sessionId;
+  }
+
+  /**
+   * Mirror the shared session into sessionData
+   */
+  syncSessionData(session) {
+    if (session.id !== this.sessionData.sessionId) {
+      this.sessionData.clicks = 0;
+      this.sessionData.scrolls = 0;
     }
+
+    this.sessionData.sessionId = session.id;
+    this.sessionData.anonymousId = session.anonymousId;
+    this.sessionData.startTime = session.startedAt;
+    this.sessionData.pageViews = session.pageViews;
+  }
+
+  handleSessionStart(session, reason) {
+    this.syncSessionData(session);
+    this.errors.resetSession(); // Errors are deduped per session
+    this.replay.restart(); // Each session's recording starts with a snapshot
+
+    this.addEvent({
+      type: "session_start",
+      timestamp: session.startedAt,
+      reason, // 'new', 'timeout', 'midnight' or 'campaign'
+      attribution: this.attribution.getLastTouch(),
+      url: window.location.href,
+      sessionId: session.id,
+      userId: this.sessionData.userId,
+    });
+  }
+
+  handleSessionEnd(session, reason) {
+    this.replay.flush("session"); // The rest of the recording is this session's
+
+    this.addEvent({
+      type: "session_end",
+      timestamp: session.endedAt,
+      reason,
+      duration: session.endedAt - session.startedAt,
+      pageViews: session.pageViews,
+      url: window.location.href,
+      sessionId: session.id,
+      userId: this.sessionData.userId,
+    });
   }
 
   /**
@@ -665,6 +1101,8 @@ class StandLogAnalytics {
           title: document.title,
           referrer: document.referrer,
         },
+        // Enrichment added by plugins
+        ...(event.context && { context: event.context }),
       },
       data: this.extractEventData(event),
     };
@@ -687,13 +1125,20 @@ class StandLogAnalytics {
           coordinates: event.coordinates,
           element: event.element,
           viewport: event.viewport,
+          breakpoint: event.breakpoint,
         };
 
       case "scroll":
+      case "scroll_milestone":
         return {
           ...baseData,
           scroll: event.scroll,
-          viewport: event.viewport,
+        };
+
+      case "pointer":
+        return {
+          ...baseData,
+          pointer: event.pointer,
         };
 
       case "pageview":
@@ -702,6 +1147,8 @@ class StandLogAnalytics {
           page: event.page,
           device: event.device,
           viewport: event.viewport,
+          virtual: event.virtual,
+          previousRoute: event.previousRoute,
         };
 
       case "form_submit":
@@ -711,12 +1158,37 @@ class StandLogAnalytics {
           page: event.page,
         };
 
+      case "form_field":
+      case "form_invalid":
+      case "form_abandon":
+        return {
+          ...baseData,
+          form: event.form,
+        };
+
       case "custom":
         return {
           ...baseData,
           name: event.name,
           properties: event.properties,
           page: event.page,
+          // Set for events declared with data-standlog-event
+          trigger: event.trigger,
+          element: event.element,
+        };
+
+      case "rage_click":
+      case "dead_click":
+      case "error_click":
+        return {
+          ...baseData,
+          coordinates: event.coordinates,
+          element: event.element,
+          viewport: event.viewport,
+          breakpoint: event.breakpoint,
+          clickCount: event.clickCount,
+          duration: event.duration,
+          error: event.error,
         };
 
       case "visibility_change":
@@ -726,6 +1198,71 @@ class StandLogAnalytics {
           page: event.page,
         };
 
+      case "identify":
+        return {
+          ...baseData,
+          previousId: event.previousId,
+          anonymousId: event.anonymousId,
+          traits: event.traits,
+        };
+
+      case "alias":
+        return {
+          ...baseData,
+          previousId: event.previousId,
+        };
+
+      case "error":
+        return {
+          ...baseData,
+          error: event.error,
+        };
+
+      case "impression":
+        return {
+          ...baseData,
+          impression: event.impression,
+          element: event.element,
+        };
+
+      case "outbound_click":
+      case "download_click":
+      case "mailto_click":
+      case "tel_click":
+        return {
+          ...baseData,
+          link: event.link,
+          element: event.element,
+        };
+
+      case "replay":
+        return {
+          ...baseData,
+          replay: event.replay,
+        };
+
+      case "performance":
+        return {
+          ...baseData,
+          performance: event.performance,
+          device: event.device,
+        };
+
+      case "session_start":
+        return {
+          ...baseData,
+          reason: event.reason,
+          attribution: event.attribution,
+        };
+
+      case "session_end":
+        return {
+          ...baseData,
+          reason: event.reason,
+          duration: event.duration,
+          pageViews: event.pageViews,
+        };
+
       default:
         return baseData;
     }
@@ -744,12 +1281,48 @@ class StandLogAnalytics {
   }
 
   getElementInfo(element) {
-    return {
+    const info = {
       tagName: element.tagName?.toLowerCase(),
       id: element.id,
       className: element.className,
       textContent: element.textContent?.trim().substring(0, 100),
+      selector: this.selectors.getSelector(element),
+      xpath: this.selectors.getXPath(element),
+      // Lets funnels match selectors after the element is gone
+      ancestry: this.selectors.getAncestry(element),
     };
+
+    return this.redactor.redactElementInfo(info, element);
+  }
+
+  /**
+   * Click position within the clicked element, as a share of its size
+   * @returns {object} { offsetX, offsetY }, empty for elements without a box
+   */
+  getOffsetRatio(event) {
+    const rect = event.target?.getBoundingClientRect?.();
+    if (!rect || !rect.width || !rect.height) return {};
+
+    const ratio = (offset, size) =>
+      Math.round(Math.max(0, Math.min(1, offset / size)) * 10000) / 10000;
+
+    return {
+      offsetX: ratio(event.clientX - rect.left, rect.width),
+      offsetY: ratio(event.clientY - rect.top, rect.height),
+    };
+  }
+
+  /**
+   * Name of the widest breakpoint that fits a viewport width
+   */
+  getBreakpoint(width) {
+    let match = null;
+    Object.entries(this.config.breakpoints).forEach(([name, minWidth]) => {
+      if (width >= minWidth && (!match || minWidth >= match.minWidth)) {
+        match = { name, minWidth };
+      }
+    });
+    return match ? match.name : null;
   }
 
   getDeviceInfo() {
@@ -773,37 +1346,174 @@ class StandLogAnalytics {
     return "Other";
   }
 
-  generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  getUserId() {
+    let userId = this.readStorage(localStorage, "standlog_user");
+    if (!userId) {
+      userId = this.generateUserId();
+      this.writeStorage(localStorage, "standlog_user", userId);
+    }
+    return userId;
+  }
+
+  /**
+   * Continue as the user of a linked domain. Anyone can build a link, so it
+   * never replaces a user identified on this site, and never marks the
+   * visitor as identified; identify() again after login
+   * @returns {boolean} False when the link was refused
+   */
+  adoptLinkedUser(linked) {
+    const current = this.readStorage(localStorage, "standlog_user");
+    if (current === linked.userId) return true;
+    if (this.isIdentified()) return false;
+
+    // Traits belong to the user they were set for
+    this.removeStorage(localStorage, "standlog_traits");
+    this.writeStorage(localStorage, "standlog_user", linked.userId);
+    return true;
+  }
+
+  /**
+   * IDs for links to other domains; none are shared without
+   * identification consent
+   */
+  getLinkerIds() {
+    const session = this.session.current;
+    if (!session || !this.consent.has("identification")) return null;
+
+    return {
+      userId: this.sessionData.userId,
+      sessionId: session.id,
+      anonymousId: session.anonymousId,
+      startedAt: session.startedAt,
+      created: session.created,
+    };
+  }
+
+  isIdentified() {
+    return this.readStorage(localStorage, "standlog_identified") === "true";
+  }
+
+  generateUserId() {
+    return `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  getTraits() {
+    try {
+      return (
+        JSON.parse(this.readStorage(localStorage, "standlog_traits")) || {}
+      );
+    } catch (e) {
+      return {};
+    }
   }
 
+  // ===================
+  // CONSENT & STORAGE
+  // ===================
+
   /**
-   * Generate or retrieve anonymous ID (session-based)
+   * Browser storage is only used with identification consent and
+   * outside cookieless mode; otherwise IDs live in memory for this page
    */
-  getAnonymousId() {
-    let anonymousId = sessionStorage.getItem("standlog_anonymous");
-    if (!anonymousId) {
-      anonymousId = `user_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
-      sessionStorage.setItem("standlog_anonymous", anonymousId);
+  canPersist() {
+    return !this.config.cookieless && this.consent.has("identification");
+  }
+
+  readStorage(storage, key) {
+    if (!this.canPersist()) return this.memoryStorage.get(key) || null;
+
+    try {
+      return storage.getItem(key);
+    } catch (e) {
+      return this.memoryStorage.get(key) || null;
     }
-    return anonymousId;
   }
 
-  getUserId() {
-    let userId = localStorage.getItem("standlog_user");
-    if (!userId) {
-      userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      localStorage.setItem("standlog_user", userId);
+  writeStorage(storage, key, value) {
+    this.memoryStorage.set(key, value);
+    if (!this.canPersist()) return;
+
+    try {
+      storage.setItem(key, value);
+    } catch (e) {
+      // Storage unavailable, memory copy is enough
+    }
+  }
+
+  removeStorage(storage, key) {
+    this.memoryStorage.delete(key);
+
+    try {
+      storage.removeItem(key);
+    } catch (e) {
+      // Storage unavailable
+    }
+  }
+
+  /**
+   * Persist or wipe IDs and release buffered events on consent changes
+   */
+  handleConsentChange(status) {
+    if (this.canPersist()) {
+      this.writeStorage(localStorage, "standlog_user", this.sessionData.userId);
+      this.writeStorage(
+        localStorage,
+        "standlog_traits",
+        JSON.stringify(this.traits)
+      );
+      if (this.memoryStorage.get("standlog_identified")) {
+        this.writeStorage(localStorage, "standlog_identified", "true");
+      }
+      this.session.save(); // Share the session with other tabs from now on
+      this.attribution.save();
+    } else if (!this.config.cookieless) {
+      try {
+        localStorage.removeItem("standlog_user");
+        localStorage.removeItem("standlog_traits");
+        localStorage.removeItem("standlog_identified");
+        localStorage.removeItem("standlog_session");
+        localStorage.removeItem("standlog_attribution");
+        sessionStorage.removeItem("standlog_anonymous"); // Used by older versions
+      } catch (e) {
+        // Storage unavailable
+      }
+    }
+
+    if (this.config.trackReplay) {
+      if (this.consent.has("replay")) this.replay.start();
+      else this.replay.stop();
+    }
+
+    // Drop anything not yet sent that is no longer covered by consent,
+    // including batches already queued or stored
+    const allowed = (event) => this.consent.allowsEvent(event.type);
+    this.events = this.events.filter(allowed);
+    this.queue.filter(allowed);
+    this.queue.updatePersistence();
+
+    const buffered = this.consentBuffer;
+    this.consentBuffer = [];
+    buffered.forEach((event) => this.processEvent(event));
+
+    if (this.config.debug) {
+      console.log("🔐 Consent updated:", status);
     }
-    return userId;
   }
 
   // ===================
   // PUBLIC API
   // ===================
 
+  /**
+   * Register a plugin
+   * @param {object} plugin - { name, order, setup, beforeEvent, afterEvent, ... }
+   * @param {object} options - { order, enabled }
+   */
+  use(plugin, options = {}) {
+    this.plugins.register(plugin, options);
+    return this;
+  }
+
   /**
    * Track custom event
    */
@@ -821,11 +1531,122 @@ class StandLogAnalytics {
     this.addEvent(customEvent);
   }
 
+  /**
+   * Report a handled error, e.g. from a catch block
+   * @param {Error|string} error - The error
+   * @param {object} context - Extra details, redacted like event properties
+   */
+  captureError(error, context) {
+    return this.errors.capture(error, {
+      kind: "error",
+      handled: true,
+      context,
+    });
+  }
+
+  /**
+   * Identify the current visitor with your own user ID
+   * @param {string} userId - Your customer ID (omit to only update traits)
+   * @param {object} traits - User properties, e.g. { plan, role, signupDate }
+   */
+  identify(userId, traits = {}) {
+    if (userId && typeof userId === "object") {
+      traits = userId;
+      userId = null;
+    }
+
+    const previousId = this.sessionData.userId;
+    const newUserId = userId ? String(userId) : previousId;
+    const switched = newUserId !== previousId;
+    const wasIdentified = this.isIdentified();
+
+    // Another known user logged in on this browser: don't inherit their traits
+    const baseTraits = switched && wasIdentified ? {} : this.traits;
+    this.traits = this.redactor.redactValue({ ...baseTraits, ...traits });
+
+    this.sessionData.userId = newUserId;
+    this.writeStorage(localStorage, "standlog_user", newUserId);
+    this.writeStorage(localStorage, "standlog_identified", "true");
+    this.writeStorage(
+      localStorage,
+      "standlog_traits",
+      JSON.stringify(this.traits)
+    );
+
+    // previousId lets the backend merge the anonymous history into the user;
+    // two known users are never merged
+    this.addEvent({
+      type: "identify",
+      timestamp: Date.now(),
+      userId: newUserId,
+      previousId: switched && !wasIdentified ? previousId : null,
+      anonymousId: this.sessionData.anonymousId,
+      traits: this.traits,
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+    });
+  }
+
+  /**
+   * Link an ID the visitor was known by before to the current user
+   * @param {string} previousId - Earlier user ID, e.g. from another system
+   */
+  alias(previousId) {
+    if (!previousId) {
+      console.error("StandLog: alias() needs the previous user ID");
+      return;
+    }
+
+    this.addEvent({
+      type: "alias",
+      timestamp: Date.now(),
+      userId: this.sessionData.userId,
+      previousId: String(previousId),
+      url: window.location.href,
+      sessionId: this.sessionData.sessionId,
+    });
+  }
+
+  /**
+   * Forget the identified user (e.g. on logout) and start a new session
+   */
+  reset() {
+    // Close the session while it still belongs to the outgoing user
+    this.session.end("reset");
+
+    this.traits = {};
+    this.sessionData.userId = this.generateUserId();
+    this.writeStorage(localStorage, "standlog_user", this.sessionData.userId);
+    this.removeStorage(localStorage, "standlog_traits");
+    this.removeStorage(localStorage, "standlog_identified");
+    this.attribution.clear(); // Touchpoints belonged to the previous user
+
+    this.session.rotate("reset");
+  }
+
+  /**
+   * Track a virtual pageview for custom routers
+   * @param {string} url - New route URL (defaults to the current location)
+   * @param {string} title - New route title (defaults to document.title)
+   */
+  page(url, title) {
+    return this.router.navigate(url, title);
+  }
+
   /**
    * Create heatmap
+   * @param {string} type - 'click', 'scroll', 'move' or 'attention'
+   * @param {object} options - Renderer options, e.g. { radius, opacity, gradient }
    */
-  createHeatmap(containerId, type = "click") {
-    return this.modules.heatmaps?.createHeatmap(containerId, type);
+  createHeatmap(containerId, type = "click", options = {}) {
+    const heatmaps = this.modules.heatmaps;
+    if (!heatmaps) return null;
+
+    return heatmaps.createHeatmap(containerId, heatmaps.data, {
+      breakpoints: this.config.breakpoints,
+      ...options,
+      type,
+    });
   }
 
   /**
@@ -835,18 +1656,88 @@ class StandLogAnalytics {
     return this.modules.funnels?.defineFunnel(id, steps, options);
   }
 
+  /**
+   * Field-by-field funnel of a form, shaped like getFunnelAnalysis()
+   * @param {string} name - data-standlog-form, id, name or selector of the form
+   */
+  getFormAnalysis(name) {
+    return this.forms.getFormAnalysis(name);
+  }
+
+  /**
+   * Where the user came from: first and last touch, linear credit and all
+   * touchpoints
+   */
+  getAttribution() {
+    return this.attribution.getAttribution();
+  }
+
+  /**
+   * Add the cross-domain linker parameter to a URL on a linked domain, for
+   * navigation that doesn't go through a link or form (e.g. window.open)
+   */
+  decorateUrl(url) {
+    return this.config.crossDomain ? this.linker.decorate(url) : url;
+  }
+
   /**
    * Create dashboard
    */
   createDashboard(containerId) {
-    return this.modules.dashboard?.create(containerId);
+    if (!this.config.enableDashboard) return null;
+
+    this.modules.dashboard?.destroy();
+    this.modules.dashboard = new AnalyticsDashboard(containerId, {
+      simulateRealTime: false, // Fed with real events from the bus
+    });
+
+    // The current session started during init(), before the dashboard
+    this.modules.dashboard.setSessionChannel(
+      this.sessionData?.sessionId,
+      this.attribution.getLastTouch()?.channel
+    );
+    return this.modules.dashboard;
+  }
+
+  /**
+   * Play back a session recorded on this page. Recordings from the API play
+   * with new ReplayPlayer(containerId).load(chunks, events)
+   * @returns {Promise<ReplayPlayer|null>}
+   */
+  async createReplayPlayer(
+    containerId,
+    sessionId = this.sessionData.sessionId,
+    options = {}
+  ) {
+    const replay = this.replays.get(sessionId);
+    if (!replay || replay.chunks.length === 0) return null;
+
+    return new ReplayPlayer(containerId, options).load(
+      replay.chunks,
+      replay.events
+    );
   }
 
   /**
    * Export analytics data
+   * @returns {Promise<string>}
    */
-  exportData(format = "json") {
-    return this.modules.integrations?.exportData(format);
+  async exportData(format = "json", options = {}) {
+    const integrations = this.modules.integrations;
+    if (!integrations) return null;
+
+    if (format === "csv") {
+      return integrations.exportData("csv", this.events, {
+        headers: ["timestamp", "type", "url"],
+        ...options,
+      });
+    }
+
+    return integrations.exportData(
+      format,
+      { session: this.sessionData, events: this.events, timestamp: Date.now() },
+      { pretty: true, ...options }
+    );
   }
 
   /**
@@ -856,7 +1747,10 @@ class StandLogAnalytics {
     return {
       session: this.sessionData,
       events: this.events,
+      queue: this.queue.getStats(),
+      consent: this.consent.status(),
       modules: Object.keys(this.modules),
+      plugins: this.plugins.list(),
     };
   }
 }
@@ -877,7 +1771,8 @@ window.StandLog = {
   init: (key, config = {}) => {
     // Auto-detect API key from script tag if not provided
     if (!key) {
-      const script = document.querySelector("[data-standlog-id]");
+      // Other elements may carry data-standlog-id as a selector anchor
+      const script = document.querySelector("script[data-standlog-id]");
       if (script) {
         key = script.getAttribute("data-standlog-id");
       }
@@ -888,18 +1783,61 @@ window.StandLog = {
       return null;
     }
 
-    // Initialize analytics instance
-    const analytics = new StandLogAnalytics(key, config);
+    // Initialize analytics instance, including plugins registered early
+    const analytics = new StandLogAnalytics(key, {
+      ...config,
+      plugins: [...pendingPlugins.splice(0), ...(config.plugins || [])],
+    });
 
     // Expose global instance
     window.standlog = analytics;
+
+    // Replay consent decisions made before the tracker loaded
+    pendingConsentCalls.splice(0).forEach(([method, categories]) => {
+      analytics.consent[method](categories);
+    });
+
     return analytics;
   },
+
+  /**
+   * Consent API, safe to call before init (calls are replayed on init)
+   */
+  consent: {
+    grant: (categories) => callConsent("grant", categories),
+    revoke: (categories) => callConsent("revoke", categories),
+    status: () => (window.standlog ? window.standlog.consent.status() : null),
+  },
+
+  /**
+   * Register a plugin, safe to call before init
+   */
+  use: (plugin, options) => {
+    if (window.standlog) {
+      return window.standlog.use(plugin, options);
+    }
+
+    pendingPlugins.push([plugin, options]);
+    return window.StandLog;
+  },
 };
 
+const pendingConsentCalls = [];
+const pendingPlugins = [];
+
+function callConsent(method, categories) {
+  if (window.standlog) {
+    return window.standlog.consent[method](categories);
+  }
+
+  pendingConsentCalls.push([method, categories]);
+  return null;
+}
+
 // Auto-initialize if script tag with data-standlog-id is found
 document.addEventListener("DOMContentLoaded", () => {
-  const script = document.querySelector("[data-standlog-id]");
+  // Other elements may carry data-standlog-id as a selector anchor
+  const script = document.querySelector("script[data-standlog-id]");
   if (script) {
     const key = script.getAttribute("data-standlog-id");
     const config = {};
@@ -934,73 +1872,89 @@ document.addEventListener("DOMContentLoaded", () => {
         script.getAttribute("data-enable-integrations") === "true";
     }
 
+    if (script.hasAttribute("data-api-url")) {
+      config.apiUrl = script.getAttribute("data-api-url");
+    }
+
+    if (script.hasAttribute("data-transport")) {
+      config.transport = script.getAttribute("data-transport");
+    }
+
+    if (script.hasAttribute("data-require-consent")) {
+      config.requireConsent =
+        script.getAttribute("data-require-consent") === "true";
+    }
+
+    if (script.hasAttribute("data-track-routes")) {
+      config.trackRoutes = script.getAttribute("data-track-routes") === "true";
+    }
+
+    if (script.hasAttribute("data-track-errors")) {
+      config.trackErrors = script.getAttribute("data-track-errors") === "true";
+    }
+
+    if (script.hasAttribute("data-track-performance")) {
+      config.trackPerformance =
+        script.getAttribute("data-track-performance") === "true";
+    }
+
+    if (script.hasAttribute("data-track-frustration")) {
+      config.trackFrustration =
+        script.getAttribute("data-track-frustration") === "true";
+    }
+
+    if (script.hasAttribute("data-track-data-attributes")) {
+      config.trackDataAttributes =
+        script.getAttribute("data-track-data-attributes") === "true";
+    }
+
+    if (script.hasAttribute("data-track-scroll")) {
+      config.trackScroll = script.getAttribute("data-track-scroll") === "true";
+    }
+
+    if (script.hasAttribute("data-track-forms")) {
+      config.trackForms = script.getAttribute("data-track-forms") === "true";
+    }
+
+    if (script.hasAttribute("data-track-attribution")) {
+      config.trackAttribution =
+        script.getAttribute("data-track-attribution") === "true";
+    }
+
+    if (script.hasAttribute("data-link-domains")) {
+      config.crossDomain = true;
+      config.linker = {
+        domains: script
+          .getAttribute("data-link-domains")
+          .split(",")
+          .map((domain) => domain.trim())
+          .filter(Boolean),
+      };
+    }
+
+    if (script.hasAttribute("data-track-links")) {
+      config.trackLinks = script.getAttribute("data-track-links") === "true";
+    }
+
+    if (script.hasAttribute("data-track-pointer")) {
+      config.trackPointer =
+        script.getAttribute("data-track-pointer") === "true";
+    }
+
+    if (script.hasAttribute("data-track-replay")) {
+      config.trackReplay = script.getAttribute("data-track-replay") === "true";
+    }
+
+    if (script.hasAttribute("data-track-impressions")) {
+      config.trackImpressions =
+        script.getAttribute("data-track-impressions") === "true";
+    }
+
+    if (script.hasAttribute("data-cookieless")) {
+      config.cookieless = script.getAttribute("data-cookieless") === "true";
+    }
+
     // Initialize with detected settings
     window.StandLog.init(key, config);
   }
 });
-
-// Add basic CSS for dashboard components
-const style = document.createElement("style");
-style.innerHTML = `
-  .standlog-dashboard {
-    font-family: Arial, sans-serif;
-    max-width: 1200px;
-    margin: 20px auto;
-    padding: 20px;
-    background: #f9f9f9;
-    border-radius: 8px;
-  }
-  
-  .standlog-dashboard h2 {
-    color: #333;
-    margin-bottom: 20px;
-  }
-  
-  .metrics {
-    display: grid;
-    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-    gap: 20px;
-    margin-bottom: 30px;
-  }
-  
-  .metric {
-    background: white;
-    padding: 20px;
-    border-radius: 6px;
-    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    text-align: center;
-  }
-  
-  .metric h3 {
-    margin: 0 0 10px 0;
-    color: #666;
-    font-size: 14px;
-    text-transform: uppercase;
-  }
-  
-  .metric span {
-    font-size: 2em;
-    font-weight: bold;
-    color: #2196F3;
-  }
-  
-  .events {
-    background: white;
-    padding: 20px;
-    border-radius: 6px;
-    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-  }
-  
-  .events h3 {
-    margin: 0 0 15px 0;
-    color: #333;
-  }
-  
-  #eventsList div {
-    padding: 8px 0;
-    border-bottom: 1px solid #eee;
-    font-size: 14px;
-    color: #666;
-  }
-`;
-document.head.appendChild(style);